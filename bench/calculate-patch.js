@@ -0,0 +1,73 @@
+'use strict';
+
+// Compares `calculatePatch` of trees of growing sizes entry by entry with
+// comparing them by their directory digests.  A tree's digests are computed
+// on its first comparison, then kept up to date as it changes, so comparing
+// it again after changing a file should take about as long whatever its size.
+//
+//   node bench/calculate-patch.js
+
+var FSTree = require('../lib/index');
+var Entry = require('../lib/entry');
+
+var SIZES = [1, 10, 100];
+var SUBDIRECTORIES = 100;
+var FILES = 100;
+var RUNS = 10;
+
+// a tree of `directories` * SUBDIRECTORIES * FILES files
+function tree(directories) {
+  var entries = [];
+
+  for (var a = 0; a < directories; a++) {
+    entries.push(new Entry('d' + a + '/', 0, 0, 16877));
+
+    for (var b = 0; b < SUBDIRECTORIES; b++) {
+      entries.push(new Entry('d' + a + '/s' + b + '/', 0, 0, 16877));
+
+      for (var c = 0; c < FILES; c++) {
+        entries.push(new Entry('d' + a + '/s' + b + '/f' + c + '.js', c, new Date(1000), 33188));
+      }
+    }
+  }
+
+  return new FSTree({ entries: entries, sortAndExpand: true });
+}
+
+function time(name, runs, fn) {
+  var start = process.hrtime();
+
+  for (var i = 0; i < runs; i++) {
+    fn(i);
+  }
+
+  var elapsed = process.hrtime(start);
+
+  console.log('  ' + name + ': ' + ((elapsed[0] * 1e3 + elapsed[1] / 1e6) / runs).toFixed(2) + 'ms');
+}
+
+function entryByEntry(a, b) {
+  return FSTree.defaultIsEqual(a, b);
+}
+
+SIZES.forEach(function(directories) {
+  var before = tree(directories);
+  var after = tree(directories);
+  var changedPath = 'd0/s50/f50.js';
+
+  console.log(before.entries.length + ' entries, average of ' + RUNS + ' runs');
+
+  time('one changed file, entry by entry', RUNS, function(run) {
+    after.addEntries([new Entry(changedPath, 50, new Date(2000 + run), 33188)]);
+    before.calculatePatch(after, entryByEntry);
+  });
+
+  time('first comparison, computing the digests of both trees', 1, function() {
+    before.calculatePatch(after);
+  });
+
+  time('one changed file, by digests', RUNS, function(run) {
+    after.addEntries([new Entry(changedPath, 50, new Date(3000 + run), 33188)]);
+    before.calculatePatch(after);
+  });
+});
@@ -0,0 +1,266 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path-posix');
+var FSTree = require('./index');
+var Entry = require('./entry');
+var util = require('./util');
+
+var pad = util.pad;
+
+var USAGE = [
+  'Usage: fs-tree-diff diff <old> <new> [options]',
+  '       fs-tree-diff sync <src> <dest> [options]',
+  '',
+  'Commands:',
+  '  diff  print the operations which turn <old> into <new>',
+  '  sync  apply those operations to make <dest> a copy of <src>',
+  '',
+  'Options:',
+  '  --format <text|json>  the output format of `diff`; defaults to text',
+  '  --exclude <glob>      ignore paths matching <glob>; may be repeated',
+  '  --checksum            compare files by content, rather than by size and mtime',
+  '  --dry-run             print what `sync` would do, without doing it',
+  '  -h, --help            print this help',
+].join('\n');
+
+var FORMATS = ['text', 'json'];
+// 0600
+var OWNER_READ_WRITE = 384;
+
+// copies, rather than links, so that the destination is independent of the
+// source; copies keep their source's mtime and mode, so that they compare
+// equal to it next time
+var SYNC_DELEGATE = {
+  create: copyFile,
+  change: copyFile,
+  rename: function(inputPath, outputPath, relativePath, fromOutputPath) {
+    fs.renameSync(fromOutputPath, outputPath);
+  },
+};
+
+module.exports = run;
+
+// Runs the `fs-tree-diff` command with `argv` (the arguments following the
+// script), writing to `io.stdout` and `io.stderr`.  Returns the exit status:
+//
+//   - 0: success, or for `diff`, no differences
+//   - 1: for `diff`, differences
+//   - 2: usage errors, or failure
+function run(argv, io) {
+  var args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (e) {
+    io.stderr.write('fs-tree-diff: ' + e.message + '\n\n' + USAGE + '\n');
+    return 2;
+  }
+
+  if (args.help) {
+    io.stdout.write(USAGE + '\n');
+    return 0;
+  }
+
+  try {
+    return args.command === 'diff' ? diff(args, io) : sync(args, io);
+  } catch (e) {
+    io.stderr.write('fs-tree-diff: ' + e.message + '\n');
+    return 2;
+  }
+}
+
+function diff(args, io) {
+  var oldRoot = args.paths[0];
+  var newRoot = args.paths[1];
+  var patch = readTree(oldRoot, args, true).calculatePatch(readTree(newRoot, args, true), isEqualFor(oldRoot, newRoot, args));
+
+  if (args.format === 'json') {
+    io.stdout.write(FSTree.serializePatch(patch) + '\n');
+  } else {
+    writeOperations(io, patch);
+  }
+
+  return patch.length === 0 ? 0 : 1;
+}
+
+function sync(args, io) {
+  var src = args.paths[0];
+  var dest = args.paths[1];
+  var destExists = fs.existsSync(dest);
+  var srcTree = readTree(src, args, true);
+  // symlinks in `dest` are replaced rather than followed, so that nothing
+  // outside of it is touched
+  var destTree = destExists ? readTree(dest, args, false) : FSTree.fromEntries([]);
+  var patch = destTree.calculatePatch(srcTree, isEqualFor(dest, src, args));
+
+  if (args.dryRun) {
+    var plan = FSTree.applyPatch(src, dest, patch, SYNC_DELEGATE, { dryRun: true });
+
+    writeOperations(io, patch);
+
+    plan.problems.forEach(function(problem) {
+      io.stderr.write('problem: ' + problem.operation + ' ' + problem.relativePath + ': ' + problem.message + '\n');
+    });
+
+    return 0;
+  }
+
+  if (!destExists) {
+    makeDirectory(dest);
+  }
+
+  FSTree.applyPatch(src, dest, patch, SYNC_DELEGATE);
+  writeOperations(io, patch);
+
+  return 0;
+}
+
+function readTree(root, args, followSymlinks) {
+  if (!fs.statSync(root).isDirectory()) {
+    throw new Error('`' + root + '` is not a directory');
+  }
+
+  return FSTree.fromFileSystem(root, { exclude: args.exclude, followSymlinks: followSymlinks });
+}
+
+// creates `dirPath` along with any missing parents
+function makeDirectory(dirPath) {
+  var parent = path.dirname(dirPath);
+
+  if (parent !== dirPath && !fs.existsSync(parent)) {
+    makeDirectory(parent);
+  }
+
+  fs.mkdirSync(dirPath);
+}
+
+// compares file contents under `rootA` and `rootB` with `--checksum`, and
+// otherwise as `calculatePatch` does by default
+function isEqualFor(rootA, rootB, args) {
+  if (!args.checksum) {
+    return null;
+  }
+
+  var digesterA = new FSTree.Digester({ root: rootA });
+  var digesterB = new FSTree.Digester({ root: rootB });
+
+  return function(entryA, entryB) {
+    if (entryA.isDirectory() || entryB.isDirectory() ||
+        Entry.isSymbolicLink(entryA) || Entry.isSymbolicLink(entryB)) {
+      return FSTree.defaultIsEqual(entryA, entryB);
+    }
+
+    return entryA.size === entryB.size && entryA.mode === entryB.mode &&
+      digesterA.digest(entryA) === digesterB.digest(entryB);
+  };
+}
+
+function writeOperations(io, patch) {
+  patch.forEach(function(operation) {
+    var method = operation[0];
+    var description = method === 'rename' ?
+      operation[3].relativePath + ' -> ' + operation[1] : operation[1];
+
+    io.stdout.write(pad(method, 7) + ' ' + description + '\n');
+  });
+}
+
+function copyFile(inputPath, outputPath) {
+  var stat = fs.statSync(inputPath);
+
+  // copies keep their source's mode, so a previous copy may be read-only
+  try {
+    fs.chmodSync(outputPath, OWNER_READ_WRITE);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+
+  fs.writeFileSync(outputPath, fs.readFileSync(inputPath));
+  fs.chmodSync(outputPath, stat.mode);
+  fs.utimesSync(outputPath, stat.atime, stat.mtime);
+}
+
+function parseArgs(argv) {
+  var args = {
+    command: null,
+    paths: [],
+    format: 'text',
+    exclude: [],
+    checksum: false,
+    dryRun: false,
+    help: false,
+  };
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    var equals = arg.indexOf('=');
+    var name = arg.slice(0, 2) === '--' && equals !== -1 ? arg.slice(0, equals) : arg;
+    var inlineValue = name === arg ? undefined : arg.slice(equals + 1);
+
+    switch (name) {
+      case '-h':
+      case '--help':
+        args.help = true;
+        break;
+      case '--checksum':
+        args.checksum = true;
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--format':
+      case '--exclude':
+        var value = inlineValue;
+
+        if (value === undefined) {
+          if (i + 1 >= argv.length) {
+            throw new Error('`' + name + '` requires a value');
+          }
+
+          value = argv[++i];
+        }
+
+        if (name === '--format') {
+          if (FORMATS.indexOf(value) === -1) {
+            throw new Error('expected `--format` to be one of `' + FORMATS.join('`, `') + '` but was `' + value + '`');
+          }
+
+          args.format = value;
+        } else {
+          args.exclude.push(value);
+        }
+        break;
+      default:
+        if (arg.charAt(0) === '-' && arg !== '-') {
+          throw new Error('unknown option `' + arg + '`');
+        }
+
+        if (args.command === null) {
+          args.command = arg;
+        } else {
+          args.paths.push(arg);
+        }
+    }
+  }
+
+  if (args.help) {
+    return args;
+  }
+
+  if (args.command !== 'diff' && args.command !== 'sync') {
+    throw new Error(args.command === null ? 'expected a command' : 'unknown command `' + args.command + '`');
+  }
+
+  if (args.paths.length !== 2) {
+    throw new Error('`' + args.command + '` expects two directories, but was given ' + args.paths.length);
+  }
+
+  if (args.command === 'diff' && args.dryRun) {
+    throw new Error('`--dry-run` only applies to `sync`');
+  }
+
+  return args;
+}
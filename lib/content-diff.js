@@ -0,0 +1,317 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path-posix');
+var Entry = require('./entry');
+var validateRelativePath = require('./path-validation').validateRelativePath;
+var toBuffer = require('./util').toBuffer;
+
+var DEFAULT_CONTEXT = 3;
+// as git, files with a NUL byte in their first 8000 bytes are binary
+var BINARY_SNIFF_LENGTH = 8000;
+// beyond this many edits, the differing lines are diffed as a whole
+// replacement, which bounds the memory the diff takes
+var MAX_EDITS = 1000;
+var NO_NEWLINE = '\\ No newline at end of file';
+
+module.exports = {
+  diffPatchContents: diffPatchContents,
+  unifiedDiff: unifiedDiff,
+};
+
+// Returns the unified diffs of the files `patch` creates, changes and
+// unlinks, reading their previous contents from `oldRoot` and their new
+// contents from `newRoot`.  Directories and symlinks are skipped, as are files
+// whose contents are unchanged.  Binary files are not diffed; a line noting
+// that they differ is given instead.
+//
+// options:
+//   - context: the number of unchanged lines around each change; defaults to 3
+function diffPatchContents(patch, oldRoot, newRoot, options) {
+  if (!Array.isArray(patch)) {
+    throw new TypeError('diffPatchContents\'s first argument must be an array of operations');
+  }
+
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var diffs = [];
+
+  patch.forEach(function(operation) {
+    var method = operation[0];
+    var relativePath = operation[1];
+    var entry = operation[2];
+
+    if (method !== 'create' && method !== 'change' && method !== 'unlink') {
+      return;
+    }
+
+    if (relativePath.charAt(relativePath.length - 1) === '/' || (entry && Entry.isSymbolicLink(entry))) {
+      return;
+    }
+
+    validateRelativePath(relativePath);
+
+    var oldContents = method === 'create' ? null : fs.readFileSync(path.join(oldRoot, relativePath));
+    var newContents = method === 'unlink' ? null : fs.readFileSync(path.join(newRoot, relativePath));
+    var diff = unifiedDiff(relativePath, oldContents, newContents, options);
+
+    if (diff !== '') {
+      diffs.push(diff);
+    }
+  });
+
+  return diffs.join('\n');
+}
+
+// Returns the unified diff between `oldContents` and `newContents` (strings or
+// buffers, or `null` when the file does not exist), or `''` if they are the
+// same.
+function unifiedDiff(relativePath, oldContents, newContents, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var context = options.context == null ? DEFAULT_CONTEXT : options.context;
+  var oldName = oldContents === null ? '/dev/null' : 'a/' + relativePath;
+  var newName = newContents === null ? '/dev/null' : 'b/' + relativePath;
+
+  if ((oldContents !== null && isBinary(oldContents)) || (newContents !== null && isBinary(newContents))) {
+    if (oldContents !== null && newContents !== null && isSameContents(oldContents, newContents)) {
+      return '';
+    }
+
+    return 'Binary files ' + oldName + ' and ' + newName + ' differ';
+  }
+
+  var edits = diffLines(splitLines(oldContents), splitLines(newContents));
+  var hunks = toHunks(edits, context);
+
+  if (hunks.length === 0 && (oldContents === null) === (newContents === null)) {
+    return '';
+  }
+
+  return ['--- ' + oldName, '+++ ' + newName].concat(hunks).join('\n');
+}
+
+function isBinary(contents) {
+  if (typeof contents === 'string') {
+    return contents.slice(0, BINARY_SNIFF_LENGTH).indexOf('\0') !== -1;
+  }
+
+  // `Buffer.prototype.indexOf` is missing on node 0.10 and 0.12
+  for (var i = 0; i < contents.length && i < BINARY_SNIFF_LENGTH; i++) {
+    if (contents[i] === 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+// compares bytes, as `Buffer.prototype.equals` is missing on node 0.10
+function isSameContents(a, b) {
+  a = toBuffer(a);
+  b = toBuffer(b);
+
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  for (var i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// 'a\nb' -> ['a\n', 'b']; lines keep their newline, so that a missing newline
+// at the end of a file is a difference
+function splitLines(contents) {
+  if (contents === null) {
+    return [];
+  }
+
+  return String(contents).match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Returns the edit script from `a` to `b`, as `[type, line]` pairs where type
+// is ' ' (unchanged), '-' (removed) or '+' (added).  Common leading and
+// trailing lines are trimmed before the differing lines are diffed with Myers'
+// algorithm.
+function diffLines(a, b) {
+  var start = 0;
+  var aEnd = a.length;
+  var bEnd = b.length;
+
+  while (start < aEnd && start < bEnd && a[start] === b[start]) {
+    start++;
+  }
+
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  var edits = a.slice(0, start).map(unchanged);
+
+  return edits.concat(
+    myers(a.slice(start, aEnd), b.slice(start, bEnd)),
+    a.slice(aEnd).map(unchanged)
+  );
+}
+
+function unchanged(line) {
+  return [' ', line];
+}
+
+function myers(a, b) {
+  var n = a.length;
+  var m = b.length;
+  var offset = n + m + 1;
+  var v = new Array(2 * offset + 1);
+  var trace = [];
+  var d, k, x, y;
+
+  v[offset + 1] = 0;
+
+  for (d = 0; d <= n + m; d++) {
+    if (d > MAX_EDITS) {
+      return replacement(a, b);
+    }
+
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (k = -d; k <= d; k += 2) {
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        x = v[offset + k + 1];
+      } else {
+        x = v[offset + k - 1] + 1;
+      }
+
+      y = x - k;
+
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        return backtrack(a, b, trace);
+      }
+    }
+  }
+
+  return [];
+}
+
+function backtrack(a, b, trace) {
+  var edits = [];
+  var x = a.length;
+  var y = b.length;
+
+  for (var d = trace.length - 1; d >= 0; d--) {
+    // trace[d] holds diagonals -d - 1 to d + 1
+    var v = trace[d];
+    var k = x - y;
+    var previousK;
+
+    if (k === -d || (k !== d && v[k - 1 + d + 1] < v[k + 1 + d + 1])) {
+      previousK = k + 1;
+    } else {
+      previousK = k - 1;
+    }
+
+    var previousX = v[previousK + d + 1];
+    var previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      edits.push([' ', a[--x]]);
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === previousX) {
+        edits.push(['+', b[--y]]);
+      } else {
+        edits.push(['-', a[--x]]);
+      }
+    }
+  }
+
+  return edits.reverse();
+}
+
+function replacement(a, b) {
+  return a.map(function(line) { return ['-', line]; }).concat(b.map(function(line) { return ['+', line]; }));
+}
+
+// Groups the changes in `edits` into hunks with `context` unchanged lines
+// around them, merging hunks whose context would overlap.
+function toHunks(edits, context) {
+  var changes = [];
+  var i;
+
+  for (i = 0; i < edits.length; i++) {
+    if (edits[i][0] !== ' ') {
+      changes.push(i);
+    }
+  }
+
+  var hunks = [];
+  var first = 0;
+
+  while (first < changes.length) {
+    var last = first;
+
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] - 1 <= 2 * context) {
+      last++;
+    }
+
+    hunks.push(formatHunk(edits, Math.max(0, changes[first] - context), Math.min(edits.length, changes[last] + context + 1)));
+    first = last + 1;
+  }
+
+  return hunks;
+}
+
+function formatHunk(edits, start, end) {
+  var oldBefore = 0;
+  var newBefore = 0;
+  var oldCount = 0;
+  var newCount = 0;
+  var lines = [];
+  var i;
+
+  for (i = 0; i < start; i++) {
+    if (edits[i][0] !== '+') { oldBefore++; }
+    if (edits[i][0] !== '-') { newBefore++; }
+  }
+
+  for (i = start; i < end; i++) {
+    var type = edits[i][0];
+    var line = edits[i][1];
+
+    if (type !== '+') { oldCount++; }
+    if (type !== '-') { newCount++; }
+
+    if (line.charAt(line.length - 1) === '\n') {
+      lines.push(type + line.slice(0, -1));
+    } else {
+      lines.push(type + line, NO_NEWLINE);
+    }
+  }
+
+  return '@@ -' + formatRange(oldBefore, oldCount) + ' +' + formatRange(newBefore, newCount) + ' @@\n' + lines.join('\n');
+}
+
+// as diff, ranges of one line omit their count, and empty ranges start at the
+// line before them
+function formatRange(before, count) {
+  if (count === 1) {
+    return String(before + 1);
+  }
+
+  return (count === 0 ? before : before + 1) + ',' + count;
+}
@@ -0,0 +1,151 @@
+'use strict';
+
+var fs = require('fs');
+var crypto = require('crypto');
+var path = require('path-posix');
+var logger = require('heimdalljs-logger')('fs-tree-diff:');
+var Entry = require('./entry');
+
+var DEFAULT_ALGORITHM = 'sha1';
+// coarse enough for every common filesystem (FAT has 2s mtime resolution)
+var DEFAULT_MTIME_RESOLUTION = 2000;
+var CHUNK_SIZE = 64 * 1024;
+
+module.exports = Digester;
+
+// Computes content digests for the file entries of trees rooted at `root`, and
+// provides an `isEqual` for `calculatePatch` which compares them.
+//
+// Digests are computed lazily and stored on the entry as `entry.digest`.  They
+// are also cached by relativePath, so an entry whose size, mtime and mode match
+// an earlier digest is not hashed again, unless the file may have been
+// rewritten within the filesystem's mtime resolution of being hashed.
+function Digester(options) {
+  options = options || {};
+
+  if (typeof options.root !== 'string') {
+    throw new TypeError('Expected `root` to be of type `string` but was of type `' + typeof options.root + '` instead.');
+  }
+
+  this.root = options.root;
+  this.algorithm = options.algorithm || DEFAULT_ALGORITHM;
+  this.mtimeResolution = options.mtimeResolution == null ?
+    DEFAULT_MTIME_RESOLUTION : options.mtimeResolution;
+
+  // fail early on unsupported algorithms
+  crypto.createHash(this.algorithm);
+
+  this._cache = Object.create(null);
+
+  // bound, so that it can be passed directly to `calculatePatch`
+  this.isEqual = this.isEqual.bind(this);
+}
+
+// Returns the digest of `entry`'s current content under `root`.
+Digester.prototype.digest = function(entry) {
+  if (entry.digest !== undefined) {
+    return entry.digest;
+  }
+
+  var digest = this.cachedDigest(entry);
+
+  if (digest === undefined) {
+    var hashedAt = Date.now();
+
+    digest = hashFile(path.join(this.root, entry.relativePath), this.algorithm);
+
+    this._cache[entry.relativePath] = {
+      size: entry.size,
+      mtime: +entry.mtime,
+      mode: entry.mode,
+      digest: digest,
+      hashedAt: hashedAt,
+    };
+  }
+
+  entry.digest = digest;
+
+  return digest;
+};
+
+// Returns the cached digest for an entry with `entry`'s path and stats, or
+// `undefined` if there is none which can be trusted.  Never reads the file.
+Digester.prototype.cachedDigest = function(entry) {
+  var cached = this._cache[entry.relativePath];
+
+  if (cached === undefined ||
+      cached.size !== entry.size ||
+      cached.mtime !== +entry.mtime ||
+      cached.mode !== entry.mode) {
+    return undefined;
+  }
+
+  // the file may have been rewritten since it was hashed without its mtime
+  // changing
+  if (cached.mtime + this.mtimeResolution > cached.hashedAt) {
+    return undefined;
+  }
+
+  return cached.digest;
+};
+
+// An `isEqual` for `calculatePatch`, where `entryA` is from the current tree
+// and `entryB` from the new tree, which describes the files under `root`.
+//
+// Files of different sizes or modes are always different.  Otherwise the
+// digest of `entryB` is computed and compared to that of `entryA`.  If
+// `entryA` has no digest (it was never hashed while current), the comparison
+// falls back to mtimes; `entryB` is still hashed, so that it can be compared
+// by content once it is the current entry.
+Digester.prototype.isEqual = function(entryA, entryB) {
+  if (entryA.isDirectory() && entryB.isDirectory()) {
+    // ignore directory changes, as `defaultIsEqual` does
+    return true;
+  }
+
+  if (Entry.isSymbolicLink(entryA) || Entry.isSymbolicLink(entryB)) {
+    // symlinks are compared by their targets, as in `defaultIsEqual`
+    return Entry.isSymbolicLink(entryA) && Entry.isSymbolicLink(entryB) &&
+      entryA.linkTarget === entryB.linkTarget;
+  }
+
+  if (entryA.isDirectory() !== entryB.isDirectory() ||
+      entryA.size !== entryB.size ||
+      entryA.mode !== entryB.mode) {
+    return false;
+  }
+
+  var digestB = this.digest(entryB);
+  var digestA = entryA.digest !== undefined ? entryA.digest : this.cachedDigest(entryA);
+  var equal;
+
+  if (digestA === undefined) {
+    equal = +entryA.mtime === +entryB.mtime;
+  } else {
+    equal = digestA === digestB;
+  }
+
+  if (!equal) {
+    logger.info('invalidation reason (digest): \nbefore %o\n entryB %o', entryA, entryB);
+  }
+
+  return equal;
+};
+
+function hashFile(fullPath, algorithm) {
+  var hash = crypto.createHash(algorithm);
+  var buffer = Buffer.alloc ? Buffer.alloc(CHUNK_SIZE) : new Buffer(CHUNK_SIZE);
+  var fd = fs.openSync(fullPath, 'r');
+
+  try {
+    var bytesRead;
+
+    while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+      hash.update(buffer.slice(0, bytesRead));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  return hash.digest('hex');
+}
@@ -1,9 +1,16 @@
 'use strict';
 
 var DIRECTORY_MODE = 16877;
+var S_IFMT = 61440;
+var S_IFDIR = 16384;
+var S_IFLNK = 40960;
+
+var validateRelativePath = require('./path-validation').validateRelativePath;
 
 module.exports = Entry;
 function Entry(relativePath, size, mtime, mode) {
+  validateRelativePath(relativePath);
+
   if (arguments.length < 4) {
     var isDirectory = relativePath.charAt(relativePath.length - 1) === '/';
     this.mode = isDirectory ? DIRECTORY_MODE : 0;
@@ -24,11 +31,15 @@ function Entry(relativePath, size, mtime, mode) {
 }
 
 Entry.isDirectory = function (entry) {
-  return (entry.mode & 61440) === 16384;
+  return (entry.mode & S_IFMT) === S_IFDIR;
+};
+
+Entry.isSymbolicLink = function (entry) {
+  return (entry.mode & S_IFMT) === S_IFLNK;
 };
 
 Entry.isFile = function (entry) {
-  return !Entry.isDirectory(entry);
+  return !Entry.isDirectory(entry) && !Entry.isSymbolicLink(entry);
 };
 
 // required methods
@@ -41,3 +52,19 @@ Entry.fromStat = function(relativePath, stat) {
   var entry = new Entry(relativePath, stat.size, stat.mtime, stat.mode);
   return entry;
 };
+
+// Creates an entry from the result of `fs.lstatSync`.  For symbolic links,
+// `linkTarget` (the result of `fs.readlinkSync`) is recorded on the entry.
+Entry.fromLstat = function(relativePath, lstat, linkTarget) {
+  var entry = Entry.fromStat(relativePath, lstat);
+
+  if (lstat.isSymbolicLink()) {
+    if (typeof linkTarget !== 'string') {
+      throw new TypeError('Expected `linkTarget` of symbolic link `' + relativePath + '` to be of type `string` but was of type `' + typeof linkTarget + '` instead.');
+    }
+
+    entry.linkTarget = linkTarget;
+  }
+
+  return entry;
+};
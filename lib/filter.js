@@ -0,0 +1,82 @@
+'use strict';
+
+var util = require('./util');
+
+var createMatcher = util.createMatcher;
+var stripTrailingSlash = util.stripTrailingSlash;
+
+module.exports = filterEntries;
+
+// Returns the entries of a sorted tree which survive `filter`, along with the
+// directories containing them.
+//
+// `filter` is either a predicate, or an object of `include` and `exclude` globs
+// (matched as by `FSTree.fromFileSystem`).  The predicate, and `include`, are
+// applied to files and to directories which contain no entries; directories
+// with entries are kept iff any of their entries are.  Directories matching
+// `exclude` are dropped along with everything beneath them.
+//
+// `key` is the key function of the tree's comparator, by which paths are
+// identified.
+function filterEntries(entries, filter, key) {
+  var select, prune;
+
+  if (typeof filter === 'function') {
+    select = filter;
+    prune = function() { return false; };
+  } else if (filter !== null && typeof filter === 'object') {
+    var matcher = createMatcher(filter.include, filter.exclude);
+
+    select = function(entry) { return matcher.matches(stripTrailingSlash(entry.relativePath)); };
+    prune = function(entry) { return matcher.isExcluded(stripTrailingSlash(entry.relativePath)); };
+  } else {
+    throw new TypeError('filter\'s first argument must be a function or an object of `include` and `exclude` globs');
+  }
+
+  var selected = Object.create(null);
+  var pruned = null;
+  var i, entry;
+
+  for (i = 0; i < entries.length; i++) {
+    entry = entries[i];
+
+    if (pruned !== null && isWithin(key(entry.relativePath), pruned)) {
+      continue;
+    }
+
+    pruned = null;
+
+    if (entry.isDirectory()) {
+      if (prune(entry)) {
+        pruned = key(entry.relativePath);
+        continue;
+      }
+
+      // sorted entries within a directory immediately follow it
+      if (i + 1 < entries.length && isWithin(key(entries[i + 1].relativePath), key(entry.relativePath))) {
+        continue;
+      }
+    }
+
+    if (select(entry)) {
+      selected[key(entry.relativePath)] = true;
+      selectAncestors(entry.relativePath, selected, key);
+    }
+  }
+
+  return entries.filter(function(entry) {
+    return selected[key(entry.relativePath)] === true;
+  });
+}
+
+// 'a/b/c.js' -> 'a/', 'a/b/'
+function selectAncestors(relativePath, selected, key) {
+  for (var i = relativePath.indexOf('/'); i !== -1 && i < relativePath.length - 1; i = relativePath.indexOf('/', i + 1)) {
+    selected[key(relativePath.slice(0, i + 1))] = true;
+  }
+}
+
+function isWithin(relativePath, directoryPath) {
+  return relativePath.length > directoryPath.length &&
+    relativePath.slice(0, directoryPath.length) === directoryPath;
+}
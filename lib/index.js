@@ -1,16 +1,39 @@
 'use strict';
 
 var fs = require('fs');
-var path = require('path-posix');
+var Promise = require('rsvp').Promise;
 var assign = require('object-assign');
 var symlinkOrCopy = require('symlink-or-copy');
 var Entry = require('./entry');
 var logger = require('heimdalljs-logger')('fs-tree-diff:');
 var util = require('./util');
+var walk = require('./walk');
+var OperationQueue = require('./operation-queue');
+var Digester = require('./digester');
+var detectRenames = require('./renames').detectRenames;
+var serialize = require('./serialize');
+var patchUtils = require('./patch');
+var planPatch = require('./plan');
+var Transaction = require('./transaction');
+var filterEntries = require('./filter');
+var mergeEntries = require('./merge');
+var snapshot = require('./snapshot');
+var Watcher = require('./watcher');
+var summary = require('./summary');
+var contentDiff = require('./content-diff');
+var DirectoryDigests = require('./merkle');
+var MemoryFileSystem = require('./memory-fs');
 var sortAndExpand = util.sortAndExpand;
 var validateSortedUnique = util.validateSortedUnique;
+var createPathComparator = util.createPathComparator;
+var validateEntryPaths = util.validateEntryPaths;
+var validatePatch = util.validatePatch;
+var resolveOperation = util.resolveOperation;
+var delegateMethodError = util.delegateMethodError;
+var fileSystemsOf = util.fileSystemsOf;
 
 var ARBITRARY_START_OF_TIME = 0;
+var DEFAULT_CONCURRENCY = 10;
 var DEFAULT_DELEGATE = {
   unlink: function(inputPath, outputPath, relativePath) {
     fs.unlinkSync(outputPath);
@@ -33,23 +56,51 @@ var DEFAULT_DELEGATE = {
   },
   create: function(inputPath, outputPath, relativePath) {
     symlinkOrCopy.sync(inputPath, outputPath);
+  },
+  rename: function(inputPath, outputPath, relativePath, fromOutputPath, fromRelativePath) {
+    // If the platform can symlink, the previous output links to the previous
+    // input path, which no longer exists, so we link the new path afresh.
+    if (symlinkOrCopy.canSymlink) {
+      fs.unlinkSync(fromOutputPath);
+      symlinkOrCopy.sync(inputPath, outputPath);
+      return;
+    }
+
+    fs.renameSync(fromOutputPath, outputPath);
+  },
+  symlink: function(inputPath, outputPath, relativePath, linkTarget) {
+    fs.symlinkSync(linkTarget, outputPath);
   }
 };
 
 module.exports = FSTree;
+FSTree.Digester = Digester;
+FSTree.Watcher = Watcher;
+FSTree.MemoryFileSystem = MemoryFileSystem;
 
 function FSTree(options) {
   options = options || {};
 
   var entries = options.entries || [];
 
+  // how relativePaths are compared (see `caseSensitive` and `normalize`)
+  this.comparator = options.comparator || createPathComparator(options);
+
+  validateEntryPaths(entries);
+
   if (options.sortAndExpand) {
-    sortAndExpand(entries);
+    sortAndExpand(entries, this.comparator);
   } else {
-    validateSortedUnique(entries);
+    validateSortedUnique(entries, this.comparator);
   }
 
   this.entries = entries;
+
+  // the directory digests of `entries`, computed as `calculatePatch` and
+  // `directoryDigest` need them, and kept up to date by the methods which
+  // change `entries` (see `_directoryDigests`); not enumerable, so as not to
+  // be serialized
+  Object.defineProperty(this, '_merkle', { value: null, writable: true });
 }
 
 FSTree.fromPaths = function(paths, options) {
@@ -62,6 +113,8 @@ FSTree.fromPaths = function(paths, options) {
   return new FSTree({
     entries: entries,
     sortAndExpand: options.sortAndExpand,
+    caseSensitive: options.caseSensitive,
+    normalize: options.normalize,
   });
 };
 
@@ -72,6 +125,59 @@ FSTree.fromEntries = function(entries, options) {
   return new FSTree({
     entries: entries,
     sortAndExpand: options.sortAndExpand,
+    caseSensitive: options.caseSensitive,
+    normalize: options.normalize,
+  });
+};
+
+FSTree.fromFileSystem = function(root, options) {
+  if (typeof options !== 'object') { options = {}; }
+
+  return fromWalkedEntries(walk.walkSync(root, options), options);
+};
+
+FSTree.fromFileSystemAsync = function(root, options) {
+  if (typeof options !== 'object') { options = {}; }
+
+  return walk.walk(root, options).then(function(entries) {
+    return fromWalkedEntries(entries, options);
+  });
+};
+
+FSTree.fromJSON = function(json, options) {
+  if (typeof options !== 'object') { options = {}; }
+
+  return new FSTree({
+    entries: serialize.deserializeTree(json),
+    caseSensitive: options.caseSensitive,
+    normalize: options.normalize,
+  });
+};
+
+FSTree.watch = function(root, options) {
+  return new Watcher(root, options);
+};
+
+FSTree.loadSnapshot = function(file, options) {
+  if (typeof options !== 'object') { options = {}; }
+
+  return new FSTree({
+    entries: snapshot.loadSnapshot(file),
+    caseSensitive: options.caseSensitive,
+    normalize: options.normalize,
+  });
+};
+
+FSTree.merge = function(trees, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var comparator = createPathComparator(options);
+
+  return new FSTree({
+    entries: mergeEntries(trees, options, comparator),
+    // restores directories implied by, but missing from, the merged trees
+    sortAndExpand: true,
+    comparator: comparator,
   });
 };
 
@@ -85,20 +191,25 @@ FSTree.prototype.addEntries = function(entries, options) {
   if (!Array.isArray(entries)) {
     throw new TypeError('entries must be an array');
   }
+  validateEntryPaths(entries);
   if (options && options.sortAndExpand) {
-    sortAndExpand(entries);
+    sortAndExpand(entries, this.comparator);
   } else {
-    validateSortedUnique(entries);
+    validateSortedUnique(entries, this.comparator);
   }
+  var compare = this.comparator.compare;
   var fromIndex = 0;
   var toIndex = 0;
   while (fromIndex < entries.length) {
     while (toIndex < this.entries.length &&
-           this.entries[toIndex].relativePath < entries[fromIndex].relativePath) {
+           compare(this.entries[toIndex].relativePath, entries[fromIndex].relativePath) < 0) {
       toIndex++;
     }
+    if (this._merkle !== null) {
+      this._merkle.invalidate(entries[fromIndex].relativePath);
+    }
     if (toIndex < this.entries.length &&
-        this.entries[toIndex].relativePath === entries[fromIndex].relativePath) {
+        compare(this.entries[toIndex].relativePath, entries[fromIndex].relativePath) === 0) {
       this.entries.splice(toIndex, 1, entries[fromIndex++]);
     } else {
       this.entries.splice(toIndex++, 0, entries[fromIndex++]);
@@ -114,19 +225,260 @@ FSTree.prototype.addPaths = function(paths, options) {
   this.addEntries(entries, options);
 }
 
+// Removes the entries at the given paths.  Removing a directory which still
+// has entries beneath it is an error, unless `options.recursive` is set, in
+// which case they are removed too.
+FSTree.prototype.removePaths = function(paths, options) {
+  if (!Array.isArray(paths)) {
+    throw new TypeError('paths must be an array');
+  }
+
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var tree = this;
+  var removed = Object.create(null);
+
+  paths.forEach(function(relativePath) {
+    var entry = tree.get(relativePath);
+
+    if (entry === undefined) {
+      throw new Error('Unable to remove `' + relativePath + '`, as it is not in the tree.');
+    }
+
+    removed[entry.relativePath] = true;
+  });
+
+  Object.keys(removed).forEach(function(relativePath) {
+    if (relativePath.charAt(relativePath.length - 1) !== '/') {
+      return;
+    }
+
+    tree.descendants(relativePath).forEach(function(entry) {
+      if (options.recursive) {
+        removed[entry.relativePath] = true;
+      } else if (!removed[entry.relativePath]) {
+        throw new Error('Unable to remove `' + relativePath + '`, as it contains `' + entry.relativePath + '`, which is not being removed. Pass `recursive: true` to remove it along with its descendants.');
+      }
+    });
+  });
+
+  // compacts the entries in place, preserving their order
+  var count = 0;
+
+  for (var i = 0; i < this.entries.length; i++) {
+    if (!removed[this.entries[i].relativePath]) {
+      this.entries[count++] = this.entries[i];
+    }
+  }
+
+  this.entries.length = count;
+
+  if (this._merkle !== null) {
+    Object.keys(removed).forEach(this._merkle.invalidate, this._merkle);
+  }
+};
+
+FSTree.prototype.removeEntries = function(entries, options) {
+  if (!Array.isArray(entries)) {
+    throw new TypeError('entries must be an array');
+  }
+
+  this.removePaths(entries.map(function(entry) {
+    return entry.relativePath;
+  }), options);
+};
+
 FSTree.prototype.forEach = function(fn, context) {
   this.entries.forEach(fn, context);
 };
 
-FSTree.prototype.calculatePatch = function(otherFSTree, isEqual) {
-  if (arguments.length > 1 && typeof isEqual !== 'function') {
+// Returns the entry at `relativePath`, or `undefined`.  A path without a
+// trailing slash also finds the directory of that name.
+FSTree.prototype.get = function(relativePath) {
+  validateRelativePath(relativePath);
+
+  var entry = this._get(relativePath);
+
+  if (entry === undefined && relativePath.charAt(relativePath.length - 1) !== '/') {
+    entry = this._get(relativePath + '/');
+  }
+
+  return entry;
+};
+
+FSTree.prototype.has = function(relativePath) {
+  return this.get(relativePath) !== undefined;
+};
+
+// Returns the entry of the directory containing `relativePath`, or `undefined`
+// if it is at the root or its directory is not in this tree.
+FSTree.prototype.parent = function(relativePath) {
+  validateRelativePath(relativePath);
+
+  var end = relativePath.charAt(relativePath.length - 1) === '/' ?
+    relativePath.length - 1 : relativePath.length;
+  var parentPath = relativePath.slice(0, relativePath.lastIndexOf('/', end - 1) + 1);
+
+  return parentPath === '' ? undefined : this._get(parentPath);
+};
+
+// Returns the entries directly within `dirPath` ('' for the root), in order.
+FSTree.prototype.children = function(dirPath) {
+  var depth = depthOf(util.toDirectoryPath(dirPath)) + 1;
+
+  return this.descendants(dirPath).filter(function(entry) {
+    return depthOf(entry.relativePath) === depth;
+  });
+};
+
+// Returns the entries beneath `dirPath` ('' for the root), in order.
+FSTree.prototype.descendants = function(dirPath) {
+  dirPath = util.toDirectoryPath(dirPath);
+
+  var entries = this.entries;
+  var comparator = this.comparator;
+  var dirKey = comparator.key(dirPath);
+  var start = lowerBound(entries, dirPath, comparator);
+  var end = start;
+
+  if (start < entries.length && comparator.compare(entries[start].relativePath, dirPath) === 0) {
+    start = ++end;
+  }
+
+  while (end < entries.length && comparator.key(entries[end].relativePath).slice(0, dirKey.length) === dirKey) {
+    end++;
+  }
+
+  return entries.slice(start, end);
+};
+
+// Returns the Merkle digest of the directory `dirPath` ('' for the root), or
+// `undefined` if it is not in this tree.  Directories have the same digest iff
+// every entry beneath them is equal by `defaultIsEqual`.
+FSTree.prototype.directoryDigest = function(dirPath) {
+  dirPath = util.toDirectoryPath(dirPath);
+
+  var digests = this._directoryDigests();
+
+  if (dirPath === '') {
+    return digests.root();
+  }
+
+  var index = lowerBound(this.entries, dirPath, this.comparator);
+
+  return index < this.entries.length && this.comparator.compare(this.entries[index].relativePath, dirPath) === 0 ?
+    digests.at(index) : undefined;
+};
+
+// Entries are not to be modified in place, only added, removed or replaced
+// through this tree's methods, which invalidate the digests they change.  So
+// the digests only need discarding if `entries` itself has been replaced.
+FSTree.prototype._directoryDigests = function() {
+  if (this._merkle === null || this._merkle.entries !== this.entries) {
+    this._merkle = new DirectoryDigests(this.entries, this.comparator);
+  }
+
+  return this._merkle;
+};
+
+// Returns a new tree of the same entries, along with the digests computed of
+// them so far.
+FSTree.prototype._copy = function() {
+  var result = new FSTree({
+    entries: this.entries.slice(),
+    comparator: this.comparator,
+  });
+
+  if (this._merkle !== null && this._merkle.entries === this.entries) {
+    result._merkle = this._merkle.copy(result.entries);
+  }
+
+  return result;
+};
+
+FSTree.prototype._get = function(relativePath) {
+  var index = lowerBound(this.entries, relativePath, this.comparator);
+  var entry = this.entries[index];
+
+  return entry !== undefined && this.comparator.compare(entry.relativePath, relativePath) === 0 ? entry : undefined;
+};
+
+// Returns a new tree of the entries selected by `filter`: either a predicate
+// called with entries, or `{ include, exclude }` globs.  Directories are kept
+// only while they contain selected entries.
+FSTree.prototype.filter = function(filter) {
+  return new FSTree({
+    entries: filterEntries(this.entries, filter, this.comparator.key),
+    // restores directories implied by, but missing from, this tree
+    sortAndExpand: true,
+    comparator: this.comparator,
+  });
+};
+
+// Returns a tree of the entries beneath `dirPath`, relative to `dirPath`.
+// Entries are copied rather than moved, so this tree is unchanged.
+FSTree.prototype.subtree = function(dirPath) {
+  dirPath = util.toDirectoryPath(dirPath);
+
+  var start = dirPath.length;
+
+  var entries = this.descendants(dirPath).map(function(entry) {
+    // as paths are compared by key, the directory may be spelled differently
+    // within each entry, but it always has the same number of segments
+    var relativePath = entry.relativePath;
+
+    if (!this.comparator.isDefault) {
+      start = indexAfterDepth(relativePath, depthOf(dirPath));
+    }
+
+    return util.withRelativePath(entry, relativePath.slice(start));
+  }, this);
+
+  return new FSTree({
+    entries: entries,
+    comparator: this.comparator,
+  });
+};
+
+// Returns a tree with every entry of this tree nested beneath `dirPath`,
+// including entries for `dirPath` and each of its parents.
+FSTree.prototype.prefix = function(dirPath) {
+  dirPath = util.toDirectoryPath(dirPath);
+
+  var entries = util.computeImpliedEntries('', dirPath).concat(this.entries.map(function(entry) {
+    return util.withRelativePath(entry, dirPath + entry.relativePath);
+  }));
+
+  return new FSTree({
+    entries: entries,
+    comparator: this.comparator,
+  });
+};
+
+FSTree.prototype.toJSON = function() {
+  return serialize.serializeTree(this);
+};
+
+FSTree.prototype.saveSnapshot = function(file) {
+  snapshot.saveSnapshot(this.entries, file);
+};
+
+FSTree.prototype.calculatePatch = function(otherFSTree, isEqual, options) {
+  if (arguments.length > 1 && isEqual != null && typeof isEqual !== 'function') {
     throw new TypeError('calculatePatch\'s second argument must be a function');
   }
 
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
   if (typeof isEqual !== 'function') {
     isEqual = FSTree.defaultIsEqual;
   }
 
+  if (otherFSTree.comparator !== undefined && !this.comparator.equals(otherFSTree.comparator)) {
+    throw new Error('Unable to calculate a patch between trees which compare paths differently. Ensure both trees were created with the same `caseSensitive` and `normalize` options.');
+  }
+
+  var compare = this.comparator.compare;
   var ours = this.entries;
   var theirs = otherFSTree.entries;
   var additions = [];
@@ -134,6 +486,22 @@ FSTree.prototype.calculatePatch = function(otherFSTree, isEqual) {
   var i = 0;
   var j = 0;
 
+  // with the default `isEqual`, directories with the same digest contain
+  // nothing to patch, so are skipped along with everything beneath them.  A
+  // tree's digests are computed on its first comparison, then kept as it
+  // changes, so later comparisons cost in proportion to the changes.
+  var ourDigests, theirDigests;
+
+  if (isEqual === FSTree.defaultIsEqual && otherFSTree instanceof FSTree) {
+    ourDigests = this._directoryDigests();
+    theirDigests = otherFSTree._directoryDigests();
+
+    if (ourDigests.root() === theirDigests.root()) {
+      i = ours.length;
+      j = theirs.length;
+    }
+  }
+
   var removals = [];
 
   var command;
@@ -142,25 +510,37 @@ FSTree.prototype.calculatePatch = function(otherFSTree, isEqual) {
     var x = ours[i];
     var y = theirs[j];
 
-    if (x.relativePath < y.relativePath) {
+    var order = compare(x.relativePath, y.relativePath);
+
+    if (order < 0) {
       // ours
       i++;
 
       removals.push(removeCommand(x));
 
       // remove additions
-    } else if (x.relativePath > y.relativePath) {
+    } else if (order > 0) {
       // theirs
       j++;
       additions.push(addCommand(y));
+    } else if (ourDigests !== undefined && x.isDirectory() && y.isDirectory() &&
+               ourDigests.at(i) === theirDigests.at(j)) {
+      i = ourDigests.end(i);
+      j = theirDigests.end(j);
     } else {
       if (!isEqual(x, y)) {
-        command = updateCommand(y);
-
-        if (x.isDirectory()) {
-          removals.push(command);
+        if (Entry.isSymbolicLink(x) || Entry.isSymbolicLink(y)) {
+          // symlinks are replaced rather than changed in place
+          removals.push(removeCommand(x));
+          additions.push(addCommand(y));
         } else {
-          additions.push(command);
+          command = updateCommand(y);
+
+          if (x.isDirectory()) {
+            removals.push(command);
+          } else {
+            additions.push(command);
+          }
         }
       }
       // both are the same
@@ -178,13 +558,54 @@ FSTree.prototype.calculatePatch = function(otherFSTree, isEqual) {
     additions.push(addCommand(theirs[j]));
   }
 
-  // operations = removals (in reverse) then additions
-  return removals.reverse().concat(additions);
+  var patch;
+
+  if (options.detectRenames) {
+    patch = detectRenames(removals.reverse(), additions, this.comparator.key);
+  } else {
+    // operations = removals (in reverse) then additions
+    patch = removals.reverse().concat(additions);
+  }
+
+  if (options.logSummary) {
+    logger.info('patch summary:\n%s', summary.formatPatchSummary(summary.summarizePatch(patch)));
+  }
+
+  return patch;
 };
 
-FSTree.prototype.calculateAndApplyPatch = function(otherFSTree, input, output, delegate) {
+// Returns the patch `calculatePatch` would, but considering only the entries
+// at or beneath `dirtyPaths` (with or without trailing slashes), and the
+// directories containing them.  So given the paths at which `otherFSTree` may
+// differ from this tree, the cost is proportional to the number of entries at
+// those paths rather than to the size of the trees.
+FSTree.prototype.calculatePatchForPaths = function(otherFSTree, dirtyPaths, isEqual, options) {
+  if (!Array.isArray(dirtyPaths)) {
+    throw new TypeError('calculatePatchForPaths\'s second argument must be an array of paths');
+  }
+
+  if (dirtyPaths.indexOf('') !== -1) {
+    // the root is dirty, so everything is
+    return this.calculatePatch(otherFSTree, isEqual, options);
+  }
+
+  dirtyPaths.forEach(util.validateRelativePath);
+
+  var ours = new FSTree({
+    entries: entriesForPaths(this, dirtyPaths),
+    comparator: this.comparator,
+  });
+  var theirs = new FSTree({
+    entries: entriesForPaths(otherFSTree, dirtyPaths),
+    comparator: otherFSTree.comparator,
+  });
+
+  return ours.calculatePatch(theirs, isEqual, options);
+};
+
+FSTree.prototype.calculateAndApplyPatch = function(otherFSTree, input, output, delegate, options) {
   var patch = this.calculatePatch(otherFSTree);
-  FSTree.applyPatch(input, output, patch, delegate);
+  return FSTree.applyPatch(input, output, patch, delegate, options);
 };
 
 FSTree.defaultIsEqual = function defaultIsEqual(entryA, entryB) {
@@ -193,9 +614,17 @@ FSTree.defaultIsEqual = function defaultIsEqual(entryA, entryB) {
     return true;
   }
 
-  var equal = entryA.size === entryB.size &&
-       +entryA.mtime === +entryB.mtime &&
-       entryA.mode === entryB.mode;
+  var equal;
+
+  if (Entry.isSymbolicLink(entryA) || Entry.isSymbolicLink(entryB)) {
+    // symlinks are equal iff they point to the same place
+    equal = Entry.isSymbolicLink(entryA) && Entry.isSymbolicLink(entryB) &&
+      entryA.linkTarget === entryB.linkTarget;
+  } else {
+    equal = entryA.size === entryB.size &&
+      +entryA.mtime === +entryB.mtime &&
+      entryA.mode === entryB.mode;
+  }
 
   if (!equal) {
     logger.info('invalidation reason: \nbefore %o\n entryB %o', entryA, entryB);
@@ -204,29 +633,216 @@ FSTree.defaultIsEqual = function defaultIsEqual(entryA, entryB) {
   return equal;
 };
 
-FSTree.applyPatch = function(input, output, patch, _delegate) {
+FSTree.invertPatch = function(patch, beforeTree) {
+  return patchUtils.invertPatch(patch, beforeTree);
+};
+
+FSTree.composePatches = function(patches, options) {
+  return patchUtils.composePatches(patches, options);
+};
+
+FSTree.summarizePatch = function(patch, options) {
+  return summary.summarizePatch(patch, options);
+};
+
+FSTree.formatPatchSummary = function(patchSummary) {
+  return summary.formatPatchSummary(patchSummary);
+};
+
+FSTree.diffPatchContents = function(patch, oldRoot, newRoot, options) {
+  return contentDiff.diffPatchContents(patch, oldRoot, newRoot, options);
+};
+
+FSTree.serializePatch = function(patch) {
+  return serialize.serializePatch(patch);
+};
+
+FSTree.deserializePatch = function(json) {
+  return serialize.deserializePatch(json);
+};
+
+FSTree.applyPatch = function(input, output, patch, _delegate, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
   var delegate = assign({}, DEFAULT_DELEGATE, _delegate);
+
+  if (options.dryRun) {
+    return planPatch(input, output, patch, delegate);
+  }
+
+  // unsafe paths are refused before anything is applied
+  validatePatch(input, output, patch, delegate);
+
+  if (options.transactional) {
+    applyPatchTransactionally(input, output, patch, delegate);
+    return;
+  }
+
   for (var i = 0; i < patch.length; i++) {
     applyOperation(input, output, patch[i], delegate);
   }
 };
 
+function applyPatchTransactionally(input, output, patch, delegate) {
+  var transaction = new Transaction(output, fileSystemsOf(delegate).output);
+
+  for (var i = 0; i < patch.length; i++) {
+    try {
+      transaction.record(operationPaths(patch[i]));
+      applyOperation(input, output, patch[i], delegate);
+    } catch (e) {
+      throw transaction.rollback(patch[i], e);
+    }
+  }
+
+  transaction.commit();
+}
+
+FSTree.applyPatchAsync = function(input, output, patch, _delegate, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var delegate = assign({}, DEFAULT_DELEGATE, _delegate);
+  var concurrency = options.concurrency == null ? DEFAULT_CONCURRENCY : options.concurrency;
+  var queue;
+
+  try {
+    queue = new OperationQueue(concurrency);
+    validatePatch(input, output, patch, delegate);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  patch.forEach(function(operation) {
+    queue.add(operationPaths(operation), function() {
+      return applyOperation(input, output, operation, delegate);
+    });
+  });
+
+  return queue.drain();
+};
+
+// returns the result of the delegate method, which may be a promise
 function applyOperation(input, output, operation, delegate) {
-  var method = operation[0];
-  var relativePath = operation[1];
-  var inputPath = path.join(input, relativePath);
-  var outputPath = path.join(output, relativePath);
-
-  var delegateType = typeof delegate[method];
-  if (delegateType === 'function') {
-    delegate[method](inputPath, outputPath, relativePath);
-  } else {
-    throw new Error('Unable to apply patch operation: ' + method + '. The value of delegate.' + method + ' is of type ' + delegateType + ', and not a function. Check the `delegate` argument to `FSTree.prototype.applyPatch`.');
+  var resolved = resolveOperation(input, output, operation);
+  var method = resolved.method;
+  var error = delegateMethodError(delegate, method);
+
+  if (error) {
+    throw error;
+  }
+
+  if (method === 'rename') {
+    return delegate.rename(resolved.inputPath, resolved.outputPath, resolved.relativePath, resolved.fromOutputPath, resolved.fromRelativePath);
+  }
+
+  if (method === 'symlink') {
+    return delegate.symlink(resolved.inputPath, resolved.outputPath, resolved.relativePath, resolved.linkTarget);
+  }
+
+  return delegate[method](resolved.inputPath, resolved.outputPath, resolved.relativePath);
+}
+
+// the paths an operation touches
+function operationPaths(operation) {
+  if (operation[0] === 'rename') {
+    return [operation[3].relativePath, operation[1]];
+  }
+
+  return [operation[1]];
+}
+
+// Returns the index of the first entry whose relativePath is not < relativePath,
+// by binary search of the sorted entries.
+function lowerBound(entries, relativePath, comparator) {
+  var low = 0;
+  var high = entries.length;
+
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+
+    if (comparator.compare(entries[middle].relativePath, relativePath) < 0) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+}
+
+// 'a.js' -> 1, 'a/' -> 1, 'a/b/c.js' -> 3, '' -> 0
+function depthOf(relativePath) {
+  var depth = relativePath.split('/').length;
+
+  return relativePath.charAt(relativePath.length - 1) === '/' || relativePath === '' ? depth - 1 : depth;
+}
+
+// the index just after the `depth`th slash of `relativePath`
+function indexAfterDepth(relativePath, depth) {
+  var index = 0;
+
+  for (var i = 0; i < depth; i++) {
+    index = relativePath.indexOf('/', index) + 1;
+  }
+
+  return index;
+}
+
+// Returns the sorted entries of `tree` at or beneath `dirtyPaths`, and the
+// directories containing them (which may have been added or removed along
+// with them).
+function entriesForPaths(tree, dirtyPaths) {
+  var comparator = tree.comparator;
+  var selected = Object.create(null);
+
+  function select(entry) {
+    if (entry !== undefined) {
+      selected[comparator.key(entry.relativePath)] = entry;
+    }
+  }
+
+  dirtyPaths.forEach(function(relativePath) {
+    var filePath = relativePath.charAt(relativePath.length - 1) === '/' ?
+      relativePath.slice(0, -1) : relativePath;
+
+    for (var i = filePath.indexOf('/'); i !== -1; i = filePath.indexOf('/', i + 1)) {
+      select(tree._get(filePath.slice(0, i + 1)));
+    }
+
+    // the path may be a file in one tree and a directory in the other
+    select(tree._get(filePath));
+    select(tree._get(filePath + '/'));
+    tree.descendants(filePath + '/').forEach(select);
+  });
+
+  return Object.keys(selected).map(function(key) {
+    return selected[key];
+  }).sort(comparator.compareEntries);
+}
+
+function fromWalkedEntries(entries, options) {
+  var comparator = createPathComparator(options);
+
+  if (!comparator.isDefault) {
+    // walked entries are sorted character by character
+    entries.sort(comparator.compareEntries);
+  }
+
+  return new FSTree({
+    entries: entries,
+    comparator: comparator,
+  });
+}
+
+function validateRelativePath(relativePath) {
+  if (typeof relativePath !== 'string') {
+    throw new TypeError('Expected `relativePath` to be of type `string` but was of type `' + typeof relativePath + '` instead.');
   }
 }
 
 function addCommand(entry) {
-  return [entry.isDirectory() ? 'mkdir' : 'create', entry.relativePath, entry];
+  var method = entry.isDirectory() ? 'mkdir' : Entry.isSymbolicLink(entry) ? 'symlink' : 'create';
+  return [method, entry.relativePath, entry];
 }
 
 function removeCommand(entry) {
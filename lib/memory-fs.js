@@ -0,0 +1,455 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path-posix');
+var Entry = require('./entry');
+var util = require('./util');
+
+var toBuffer = util.toBuffer;
+var nameOf = util.nameOf;
+
+var FILE_MODE = 33188; // 0100644
+var DIRECTORY_MODE = 16877; // 040755
+var SYMLINK_MODE = 41471; // 0120777
+var MAX_SYMLINK_DEPTH = 40;
+
+module.exports = MemoryFileSystem;
+
+// A filesystem held in memory, so that patches can be applied and inspected
+// without touching disk.  Its methods are synchronous, and behave as their
+// `fs.*Sync` counterparts do, throwing errors with the same `code`s.
+//
+// Paths are posix paths from the root of the filesystem, with or without a
+// leading slash: `a/b.js` and `/a/b.js` are the same file.
+//
+// `files` optionally seeds the filesystem: an object of paths to contents
+// (strings or buffers), where paths ending in a slash are directories.  The
+// directories containing each path are created as needed.
+function MemoryFileSystem(files) {
+  this._root = directoryNode(new Date());
+
+  if (files != null) {
+    Object.keys(files).forEach(function(filePath) {
+      var segments = split(filePath);
+      var isDirectory = filePath.charAt(filePath.length - 1) === '/';
+
+      for (var i = 1; i <= segments.length; i++) {
+        var dirPath = segments.slice(0, i).join('/');
+
+        if ((i < segments.length || isDirectory) && !this.exists(dirPath)) {
+          this.mkdir(dirPath);
+        }
+      }
+
+      if (!isDirectory) {
+        this.writeFile(filePath, files[filePath]);
+      }
+    }, this);
+  }
+}
+
+// Returns the contents of the file at `filePath`, as a string if `encoding` is
+// given and otherwise as a buffer.
+MemoryFileSystem.prototype.readFile = function(filePath, encoding) {
+  var node = this._resolve(filePath, 'open', true);
+
+  if (node.type === 'directory') {
+    throw fsError('EISDIR', 'illegal operation on a directory', 'read', filePath);
+  }
+
+  return encoding ? node.contents.toString(encoding) : toBuffer(node.contents);
+};
+
+// Creates or replaces the file at `filePath`.  As with `fs.writeFileSync`, a
+// symlink at `filePath` is written through, to its target.
+//
+// options:
+//   - mtime: the file's mtime; defaults to now
+//   - mode: the file's mode; defaults to 0100644
+MemoryFileSystem.prototype.writeFile = function(filePath, contents, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var target = this._lookup(filePath, 'open', true);
+
+  if (target.node !== undefined && target.node.type === 'directory') {
+    throw fsError('EISDIR', 'illegal operation on a directory', 'open', filePath);
+  }
+
+  var parent = this._parent(target.path, 'open');
+
+  parent.children[basename(target.path)] = {
+    type: 'file',
+    contents: toBuffer(contents),
+    mtime: options.mtime ? new Date(+options.mtime) : new Date(),
+    mode: options.mode || FILE_MODE,
+  };
+};
+
+// Returns the stats of `filePath`, following symlinks.
+MemoryFileSystem.prototype.stat = function(filePath) {
+  return toStats(this._resolve(filePath, 'stat', true));
+};
+
+// Returns the stats of `filePath`, not following symlinks.
+MemoryFileSystem.prototype.lstat = function(filePath) {
+  return toStats(this._resolve(filePath, 'lstat', false));
+};
+
+// Returns the sorted names of the entries of the directory `dirPath`.
+MemoryFileSystem.prototype.readdir = function(dirPath) {
+  var node = this._resolve(dirPath, 'scandir', true);
+
+  if (node.type !== 'directory') {
+    throw fsError('ENOTDIR', 'not a directory', 'scandir', dirPath);
+  }
+
+  return Object.keys(node.children).sort();
+};
+
+MemoryFileSystem.prototype.readlink = function(filePath) {
+  var node = this._resolve(filePath, 'readlink', false);
+
+  if (node.type !== 'symlink') {
+    throw fsError('EINVAL', 'invalid argument', 'readlink', filePath);
+  }
+
+  return node.target;
+};
+
+MemoryFileSystem.prototype.exists = function(filePath) {
+  try {
+    this._resolve(filePath, 'stat', true);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+MemoryFileSystem.prototype.mkdir = function(dirPath) {
+  var parent = this._parent(dirPath, 'mkdir');
+  var name = basename(dirPath);
+
+  if (parent.children[name] !== undefined) {
+    throw fsError('EEXIST', 'file already exists', 'mkdir', dirPath);
+  }
+
+  parent.children[name] = directoryNode(new Date());
+};
+
+MemoryFileSystem.prototype.rmdir = function(dirPath) {
+  var parent = this._parent(dirPath, 'rmdir');
+  var node = this._child(parent, dirPath, 'rmdir');
+
+  if (node.type !== 'directory') {
+    throw fsError('ENOTDIR', 'not a directory', 'rmdir', dirPath);
+  }
+
+  if (Object.keys(node.children).length > 0) {
+    throw fsError('ENOTEMPTY', 'directory not empty', 'rmdir', dirPath);
+  }
+
+  delete parent.children[basename(dirPath)];
+};
+
+MemoryFileSystem.prototype.unlink = function(filePath) {
+  var parent = this._parent(filePath, 'unlink');
+  var node = this._child(parent, filePath, 'unlink');
+
+  if (node.type === 'directory') {
+    throw fsError('EISDIR', 'illegal operation on a directory', 'unlink', filePath);
+  }
+
+  delete parent.children[basename(filePath)];
+};
+
+MemoryFileSystem.prototype.rename = function(fromPath, toPath) {
+  var fromParent = this._parent(fromPath, 'rename');
+  var node = this._child(fromParent, fromPath, 'rename');
+  var toParent = this._parent(toPath, 'rename');
+  var existing = toParent.children[basename(toPath)];
+
+  if (this._isWithin(toParent, node)) {
+    throw fsError('EINVAL', 'invalid argument', 'rename', fromPath);
+  }
+
+  if (existing !== undefined && existing !== node) {
+    if (node.type === 'directory' && existing.type !== 'directory') {
+      throw fsError('ENOTDIR', 'not a directory', 'rename', toPath);
+    }
+
+    if (existing.type === 'directory' && node.type !== 'directory') {
+      throw fsError('EISDIR', 'illegal operation on a directory', 'rename', toPath);
+    }
+
+    if (existing.type === 'directory' && Object.keys(existing.children).length > 0) {
+      throw fsError('ENOTEMPTY', 'directory not empty', 'rename', toPath);
+    }
+  }
+
+  delete fromParent.children[basename(fromPath)];
+  toParent.children[basename(toPath)] = node;
+};
+
+MemoryFileSystem.prototype.symlink = function(target, linkPath) {
+  var parent = this._parent(linkPath, 'symlink');
+  var name = basename(linkPath);
+
+  if (parent.children[name] !== undefined) {
+    throw fsError('EEXIST', 'file already exists', 'symlink', linkPath);
+  }
+
+  parent.children[name] = {
+    type: 'symlink',
+    target: target,
+    mtime: new Date(),
+    mode: SYMLINK_MODE,
+  };
+};
+
+// Returns the entries beneath `root` ('' for the root of the filesystem),
+// sorted as `FSTree.fromEntries` expects, so that the filesystem can be
+// compared with other trees:
+//
+//   FSTree.fromEntries(memoryFs.entries('dist'));
+//
+// options:
+//   - followSymlinks: as for `FSTree.fromFileSystem`; defaults to true.  As
+//     there, broken symlinks and symlinks to the directories being walked are
+//     skipped.
+MemoryFileSystem.prototype.entries = function(root, options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var followSymlinks = options.followSymlinks !== false;
+  var memoryFs = this;
+  var entries = [];
+
+  // `ancestors` are the nodes of the directories from `root` to `dirPath`
+  function visit(dirPath, relativeDir, ancestors) {
+    memoryFs.readdir(dirPath).forEach(function(name) {
+      var fullPath = path.join(dirPath, name);
+      var relativePath = relativeDir + name;
+      var node;
+
+      try {
+        node = memoryFs._resolve(fullPath, followSymlinks ? 'stat' : 'lstat', followSymlinks);
+      } catch (e) {
+        if (e.code === 'ENOENT') {
+          return;
+        }
+
+        throw e;
+      }
+
+      if (ancestors.indexOf(node) !== -1) {
+        return;
+      }
+
+      var stats = toStats(node);
+
+      if (stats.isDirectory()) {
+        entries.push(Entry.fromStat(relativePath + '/', stats));
+        visit(fullPath, relativePath + '/', ancestors.concat([node]));
+      } else if (stats.isSymbolicLink()) {
+        entries.push(Entry.fromLstat(relativePath, stats, memoryFs.readlink(fullPath)));
+      } else {
+        entries.push(Entry.fromStat(relativePath, stats));
+      }
+    });
+  }
+
+  visit(root || '/', '', [this._resolve(root || '/', 'scandir', true)]);
+
+  return entries.sort(util.compareByRelativePath);
+};
+
+// Returns a delegate for `FSTree.applyPatch` and `FSTree.applyPatchAsync`
+// which applies patches to this filesystem, so `outputDir` is a path within
+// it.  Files are copied with their mtimes and modes, so that the output
+// compares equal to the input.  The delegate names its `fileSystems`, which dry
+// runs and transactional patches inspect and restore rather than the disk.
+//
+// options:
+//   - input: the `MemoryFileSystem` `inputDir` is a path within; by default it
+//     is a path on disk
+MemoryFileSystem.prototype.delegate = function(options) {
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var memoryFs = this;
+  var input = options.input;
+
+  function copy(inputPath, outputPath) {
+    var stats = input ? input.stat(inputPath) : fs.statSync(inputPath);
+    var contents = input ? input.readFile(inputPath) : fs.readFileSync(inputPath);
+
+    memoryFs.writeFile(outputPath, contents, { mtime: stats.mtime, mode: stats.mode });
+  }
+
+  return {
+    unlink: function(inputPath, outputPath) {
+      memoryFs.unlink(outputPath);
+    },
+    rmdir: function(inputPath, outputPath) {
+      memoryFs.rmdir(outputPath);
+    },
+    mkdir: function(inputPath, outputPath) {
+      memoryFs.mkdir(outputPath);
+    },
+    create: copy,
+    change: copy,
+    rename: function(inputPath, outputPath, relativePath, fromOutputPath) {
+      memoryFs.rename(fromOutputPath, outputPath);
+    },
+    symlink: function(inputPath, outputPath, relativePath, linkTarget) {
+      memoryFs.symlink(linkTarget, outputPath);
+    },
+    fileSystems: {
+      input: input,
+      output: memoryFs,
+    },
+  };
+};
+
+// Returns the node at `filePath`, following symlinks along the way (and at
+// the end, with `follow`).  `syscall` names the operation in errors.
+MemoryFileSystem.prototype._resolve = function(filePath, syscall, follow) {
+  var node = this._lookup(filePath, syscall, follow).node;
+
+  if (node === undefined) {
+    throw fsError('ENOENT', 'no such file or directory', syscall, filePath);
+  }
+
+  return node;
+};
+
+// Returns `{ path, node }`: the path `filePath` leads to, once symlinks are
+// followed along the way (and at the end, with `follow`), and the node there.
+// `node` is `undefined` if nothing is there, but the directory which would
+// contain it exists.
+MemoryFileSystem.prototype._lookup = function(filePath, syscall, follow, depth) {
+  depth = depth || 0;
+
+  if (depth > MAX_SYMLINK_DEPTH) {
+    throw fsError('ELOOP', 'too many symbolic links encountered', syscall, filePath);
+  }
+
+  var segments = split(filePath);
+  var node = this._root;
+
+  for (var i = 0; i < segments.length; i++) {
+    if (node.type !== 'directory') {
+      throw fsError('ENOTDIR', 'not a directory', syscall, filePath);
+    }
+
+    node = node.children[segments[i]];
+
+    if (node === undefined) {
+      if (i < segments.length - 1) {
+        throw fsError('ENOENT', 'no such file or directory', syscall, filePath);
+      }
+
+      break;
+    }
+
+    if (node.type === 'symlink' && (follow || i < segments.length - 1)) {
+      var linkDir = '/' + segments.slice(0, i).join('/');
+      var targetPath = path.join(path.resolve(linkDir, node.target), segments.slice(i + 1).join('/'));
+
+      return this._lookup(targetPath, syscall, follow, depth + 1);
+    }
+  }
+
+  return { path: segments.join('/'), node: node };
+};
+
+// Returns the directory node which contains `filePath`.
+MemoryFileSystem.prototype._parent = function(filePath, syscall) {
+  var segments = split(filePath);
+
+  if (segments.length === 0) {
+    throw fsError('EPERM', 'operation not permitted', syscall, filePath);
+  }
+
+  var parent;
+
+  try {
+    parent = this._resolve(segments.slice(0, -1).join('/'), syscall, true);
+  } catch (e) {
+    throw fsError(e.code, e.code === 'ENOTDIR' ? 'not a directory' : 'no such file or directory', syscall, filePath);
+  }
+
+  if (parent.type !== 'directory') {
+    throw fsError('ENOTDIR', 'not a directory', syscall, filePath);
+  }
+
+  return parent;
+};
+
+// Returns whether `node` is `directory` or beneath it.
+MemoryFileSystem.prototype._isWithin = function(node, directory) {
+  if (node === directory) {
+    return true;
+  }
+
+  if (directory.type !== 'directory') {
+    return false;
+  }
+
+  for (var name in directory.children) {
+    if (this._isWithin(node, directory.children[name])) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+MemoryFileSystem.prototype._child = function(parent, filePath, syscall) {
+  var node = parent.children[basename(filePath)];
+
+  if (node === undefined) {
+    throw fsError('ENOENT', 'no such file or directory', syscall, filePath);
+  }
+
+  return node;
+};
+
+function directoryNode(mtime) {
+  return {
+    type: 'directory',
+    children: Object.create(null),
+    mtime: mtime,
+    mode: DIRECTORY_MODE,
+  };
+}
+
+function toStats(node) {
+  return {
+    size: node.type === 'file' ? node.contents.length : (node.type === 'symlink' ? node.target.length : 0),
+    mtime: new Date(+node.mtime),
+    mode: node.mode,
+    isFile: function() { return node.type === 'file'; },
+    isDirectory: function() { return node.type === 'directory'; },
+    isSymbolicLink: function() { return node.type === 'symlink'; },
+  };
+}
+
+// '/a/b/' -> ['a', 'b']; '' -> []
+function split(filePath) {
+  return path.normalize('/' + filePath).split('/').filter(Boolean);
+}
+
+// '/a/b/' -> 'b'
+function basename(filePath) {
+  return nameOf(split(filePath).join('/'));
+}
+
+// an error as `fs` would throw
+function fsError(code, description, syscall, filePath) {
+  var error = new Error(code + ': ' + description + ', ' + syscall + ' \'' + filePath + '\'');
+
+  error.code = code;
+  error.syscall = syscall;
+  error.path = filePath;
+
+  return error;
+}
@@ -0,0 +1,99 @@
+'use strict';
+
+var withRelativePath = require('./util').withRelativePath;
+
+module.exports = mergeEntries;
+
+// Returns the entries of the union of `trees`, each copied and tagged with the
+// index of the tree it came from as `entry.source`.
+//
+// A directory present in several trees is merged, taking the entry from the
+// first of them (or the last, with `overwrite`).  A file present in several
+// trees is resolved by `onConflict`, or taken from the last of them with
+// `overwrite`, and is otherwise an error.  A path which is a file in one tree
+// and a directory in another is always an error.  Paths are identified by their
+// keys under `comparator`.
+function mergeEntries(trees, options, comparator) {
+  if (!Array.isArray(trees)) {
+    throw new TypeError('merge\'s first argument must be an array of trees');
+  }
+
+  if (options.onConflict != null && typeof options.onConflict !== 'function') {
+    throw new TypeError('Expected `onConflict` to be of type `function` but was of type `' + typeof options.onConflict + '` instead.');
+  }
+
+  var key = comparator.key;
+  var candidates = Object.create(null);
+  // directory key -> index of the first tree containing it, or anything
+  // beneath it
+  var directories = Object.create(null);
+  var keys = [];
+
+  trees.forEach(function(tree, index) {
+    tree.entries.forEach(function(entry) {
+      var pathKey = key(entry.relativePath);
+
+      if (candidates[pathKey] === undefined) {
+        candidates[pathKey] = [];
+        keys.push(pathKey);
+      }
+
+      candidates[pathKey].push(withSource(entry, index));
+      addDirectories(pathKey, index, directories);
+    });
+  });
+
+  return keys.sort().map(function(pathKey) {
+    var entries = candidates[pathKey];
+    var relativePath = entries[0].relativePath;
+
+    if (!entries[0].isDirectory() && directories[pathKey + '/'] !== undefined) {
+      throw new Error('Merge error: conflicting file types: `' + relativePath + '` is a file in tree ' + entries[0].source + ' but a directory in tree ' + directories[pathKey + '/'] + '.');
+    }
+
+    if (entries.length === 1) {
+      return entries[0];
+    }
+
+    if (entries[0].isDirectory()) {
+      return options.overwrite ? entries[entries.length - 1] : entries[0];
+    }
+
+    if (typeof options.onConflict === 'function') {
+      var chosen = options.onConflict(relativePath, entries);
+
+      if (entries.indexOf(chosen) === -1) {
+        throw new Error('Merge error: `onConflict` must return one of the entries it was given for `' + relativePath + '`.');
+      }
+
+      return chosen;
+    }
+
+    if (options.overwrite) {
+      return entries[entries.length - 1];
+    }
+
+    throw new Error('Merge error: file `' + relativePath + '` exists in trees ' + entries.map(function(entry) {
+      return entry.source;
+    }).join(' and ') + '. Pass `overwrite: true` or an `onConflict` function to `FSTree.merge` to resolve it.');
+  });
+}
+
+function withSource(entry, index) {
+  var copy = withRelativePath(entry, entry.relativePath);
+
+  copy.source = index;
+
+  return copy;
+}
+
+// 'a/b/c.js' -> 'a/', 'a/b/'; 'a/b/' -> 'a/', 'a/b/'
+function addDirectories(relativePath, index, directories) {
+  for (var i = relativePath.indexOf('/'); i !== -1; i = relativePath.indexOf('/', i + 1)) {
+    var directoryPath = relativePath.slice(0, i + 1);
+
+    if (directories[directoryPath] === undefined) {
+      directories[directoryPath] = index;
+    }
+  }
+}
@@ -0,0 +1,131 @@
+'use strict';
+
+var crypto = require('crypto');
+var Entry = require('./entry');
+var parentOf = require('./util').parentOf;
+
+var ALGORITHM = 'sha1';
+
+module.exports = DirectoryDigests;
+
+// The Merkle digests of the directories of a tree's sorted `entries`.  A
+// directory's digest is of the names of the entries directly within it, along
+// with the stats `FSTree.defaultIsEqual` compares for files and symlinks, and
+// the digests of subdirectories.  So two directories have the same digest iff
+// every entry beneath them would be equal by `defaultIsEqual` (the stats of
+// directories themselves are ignored, as `defaultIsEqual` ignores them).
+//
+// Trees need not include their intermediate directories, so entries are
+// rolled up into the nearest directory which is in the tree, named by their
+// path relative to it.
+//
+// Digests are computed as they are asked for, and kept until `invalidate`d by
+// a change beneath their directory.  So once computed, keeping them up to
+// date costs in proportion to the depth of the paths which change, rather
+// than to the size of the tree.  Paths are identified by their keys under the
+// tree's `comparator`.
+function DirectoryDigests(entries, comparator) {
+  this.entries = entries;
+  this.comparator = comparator;
+  // directory key ('' for the root) -> its digest
+  this._digests = Object.create(null);
+}
+
+// Returns the digest of the whole tree.
+DirectoryDigests.prototype.root = function() {
+  return this._digest('', 0);
+};
+
+// Returns the digest of `entries[index]`, which is a directory.
+DirectoryDigests.prototype.at = function(index) {
+  return this._digest(this.comparator.key(this.entries[index].relativePath), index + 1);
+};
+
+// Returns the index just after the last descendant of `entries[index]`.
+DirectoryDigests.prototype.end = function(index) {
+  return this._end(this.comparator.key(this.entries[index].relativePath), index + 1);
+};
+
+// Discards the digests of the directories `relativePath` is at or beneath, as
+// an entry there has been added, removed or replaced.
+DirectoryDigests.prototype.invalidate = function(relativePath) {
+  var pathKey = this.comparator.key(relativePath);
+
+  delete this._digests[pathKey];
+
+  while (pathKey !== '') {
+    pathKey = parentOf(pathKey);
+    delete this._digests[pathKey];
+  }
+};
+
+// Returns a copy of these digests, for a copy of `entries`.
+DirectoryDigests.prototype.copy = function(entries) {
+  var result = new DirectoryDigests(entries, this.comparator);
+
+  for (var dirKey in this._digests) {
+    result._digests[dirKey] = this._digests[dirKey];
+  }
+
+  return result;
+};
+
+// the entries within the directory `dirKey` are those from `start` whose keys
+// begin with it
+DirectoryDigests.prototype._digest = function(dirKey, start) {
+  var result = this._digests[dirKey];
+
+  if (result !== undefined) {
+    return result;
+  }
+
+  var entries = this.entries;
+  var key = this.comparator.key;
+  var signatures = [];
+  var i = start;
+
+  while (i < entries.length) {
+    var entry = entries[i];
+    var pathKey = key(entry.relativePath);
+
+    if (pathKey.slice(0, dirKey.length) !== dirKey) {
+      break;
+    }
+
+    var name = pathKey.slice(dirKey.length);
+
+    if (entry.isDirectory()) {
+      signatures.push(JSON.stringify([name, this._digest(pathKey, i + 1)]));
+      i = this._end(pathKey, i + 1);
+    } else {
+      signatures.push(JSON.stringify(Entry.isSymbolicLink(entry) ?
+        [name, 'symlink', entry.linkTarget] : [name, entry.size, +entry.mtime, entry.mode]));
+      i++;
+    }
+  }
+
+  result = this._digests[dirKey] = crypto.createHash(ALGORITHM).update(signatures.join('\n')).digest('hex');
+
+  return result;
+};
+
+// descendants follow their directory, so end at the first entry from `start`
+// whose key does not begin with the directory's
+DirectoryDigests.prototype._end = function(dirKey, start) {
+  var entries = this.entries;
+  var key = this.comparator.key;
+  var low = start;
+  var high = entries.length;
+
+  while (low < high) {
+    var middle = (low + high) >>> 1;
+
+    if (key(entries[middle].relativePath).slice(0, dirKey.length) === dirKey) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  return low;
+};
@@ -0,0 +1,143 @@
+'use strict';
+
+var Promise = require('rsvp').Promise;
+var util = require('./util');
+
+var stripTrailingSlash = util.stripTrailingSlash;
+var ancestorsOf = util.ancestorsOf;
+
+module.exports = OperationQueue;
+
+// Runs patch operations with bounded concurrency while preserving the ordering
+// guarantees of a patch: an operation only starts once every earlier operation
+// on the same path, on one of its ancestors or on one of its descendants has
+// finished.  Operations on unrelated paths may run in parallel.
+//
+// Once an operation fails no further operations are started; `drain` waits for
+// those already running and then rejects with the first error.
+function OperationQueue(concurrency) {
+  if (typeof concurrency !== 'number' || isNaN(concurrency) || concurrency < 1) {
+    throw new TypeError('Expected `concurrency` to be a number >= 1 but was `' + concurrency + '` instead.');
+  }
+
+  this.concurrency = concurrency;
+  this.active = 0;
+  this.waiting = [];
+  this.error = null;
+
+  // all (never rejecting) operation promises, in order
+  this._operations = [];
+  // path -> the most recent operation on that path
+  this._last = Object.create(null);
+  // path -> operations beneath that path since the most recent operation on it
+  this._within = Object.create(null);
+}
+
+// `relativePaths` are the paths the operation touches
+OperationQueue.prototype.add = function(relativePaths, fn) {
+  var queue = this;
+  var keys = relativePaths.map(stripTrailingSlash);
+  var ancestors = [];
+  var dependencies = [];
+
+  keys.forEach(function(key) {
+    dependencies.push.apply(dependencies, queue._within[key] || []);
+
+    if (queue._last[key]) {
+      dependencies.push(queue._last[key]);
+    }
+
+    ancestors.push.apply(ancestors, ancestorsOf(key));
+  });
+
+  ancestors.forEach(function(ancestor) {
+    if (queue._last[ancestor]) {
+      dependencies.push(queue._last[ancestor]);
+    }
+  });
+
+  var operation = Promise.all(dependencies).then(function() {
+    return queue._schedule(fn);
+  }).then(null, function(error) {
+    queue._fail(error);
+  });
+
+  // anything later on these paths waits for this operation, which in turn
+  // waits for everything beneath them
+  keys.forEach(function(key) {
+    queue._last[key] = operation;
+    queue._within[key] = [];
+  });
+
+  ancestors.forEach(function(ancestor) {
+    (queue._within[ancestor] = queue._within[ancestor] || []).push(operation);
+  });
+
+  this._operations.push(operation);
+};
+
+OperationQueue.prototype.drain = function() {
+  var queue = this;
+
+  return Promise.all(this._operations).then(function() {
+    if (queue.error !== null) {
+      throw queue.error;
+    }
+  });
+};
+
+OperationQueue.prototype._schedule = function(fn) {
+  var queue = this;
+
+  if (this.error !== null) {
+    // an earlier operation failed; skip everything not yet started
+    return Promise.resolve();
+  }
+
+  if (this.active < this.concurrency) {
+    this.active++;
+    return this._run(fn);
+  }
+
+  // wait for a running operation to hand over its slot
+  return new Promise(function(resolve) {
+    queue.waiting.push(resolve);
+  }).then(function() {
+    if (queue.error !== null) {
+      queue._release();
+      return;
+    }
+
+    return queue._run(fn);
+  });
+};
+
+OperationQueue.prototype._run = function(fn) {
+  var queue = this;
+
+  return new Promise(function(resolve) {
+    resolve(fn());
+  }).then(function(value) {
+    queue._release();
+    return value;
+  }, function(error) {
+    // record the failure before handing over our slot, so that no waiting
+    // operation starts
+    queue._fail(error);
+    queue._release();
+  });
+};
+
+OperationQueue.prototype._fail = function(error) {
+  if (this.error === null) {
+    this.error = error;
+  }
+};
+
+OperationQueue.prototype._release = function() {
+  if (this.waiting.length > 0) {
+    this.waiting.shift()();
+  } else {
+    this.active--;
+  }
+};
@@ -0,0 +1,271 @@
+'use strict';
+
+var Entry = require('./entry');
+var createPathComparator = require('./util').createPathComparator;
+var renames = require('./renames');
+var orderRenames = renames.orderRenames;
+var isNested = renames.isNested;
+
+module.exports = {
+  invertPatch: invertPatch,
+  composePatches: composePatches,
+};
+
+var INVERSE_OPERATIONS = {
+  create: 'unlink',
+  unlink: 'create',
+  mkdir: 'rmdir',
+  rmdir: 'mkdir',
+  change: 'change',
+  rename: 'rename',
+  symlink: 'unlink',
+};
+
+// Returns the patch which undoes `patch`, given the tree it was calculated
+// from.  Operations are inverted in reverse order, which preserves the ordering
+// guarantees of the original patch: eg. an `unlink` before the `rmdir` of its
+// parent becomes a `create` after the `mkdir` of its parent.
+//
+// Restored entries (the targets of the inverse `create`, `mkdir`, `change`,
+// `rename` and `symlink` operations) are taken from `beforeTree`, whose paths
+// are compared by its comparator.
+function invertPatch(patch, beforeTree) {
+  var key = (beforeTree.comparator || createPathComparator()).key;
+  var before = Object.create(null);
+
+  beforeTree.forEach(function(entry) {
+    before[key(entry.relativePath)] = entry;
+  });
+
+  function beforeEntry(relativePath, operation) {
+    var entry = before[key(relativePath)];
+
+    if (entry === undefined) {
+      throw new Error('Unable to invert patch operation: ' + operation + ' `' + relativePath + '`. `' + relativePath + '` is not in the tree the patch was calculated from.');
+    }
+
+    return entry;
+  }
+
+  var inverse = [];
+
+  for (var i = patch.length - 1; i >= 0; i--) {
+    var operation = patch[i];
+    var method = operation[0];
+    var relativePath = operation[1];
+
+    if (!(method in INVERSE_OPERATIONS)) {
+      throw new Error('Unable to invert patch operation: ' + method + '. Only `' + Object.keys(INVERSE_OPERATIONS).join('`, `') + '` operations can be inverted.');
+    }
+
+    switch (method) {
+      case 'create':
+      case 'mkdir':
+      case 'symlink':
+        inverse.push([INVERSE_OPERATIONS[method], relativePath, operation[2]]);
+        break;
+      case 'rename':
+        var fromPath = operation[3].relativePath;
+        inverse.push(['rename', fromPath, beforeEntry(fromPath, method), operation[2]]);
+        break;
+      case 'unlink':
+        var entry = beforeEntry(relativePath, method);
+        inverse.push([Entry.isSymbolicLink(entry) ? 'symlink' : 'create', relativePath, entry]);
+        break;
+      default:
+        inverse.push([INVERSE_OPERATIONS[method], relativePath, beforeEntry(relativePath, method)]);
+    }
+  }
+
+  return inverse;
+}
+
+// Returns a single patch equivalent to applying each of `patches` in turn,
+// with intermediate states squashed away: eg. a `create` followed by an
+// `unlink` cancels out, and a `create` followed by a `change` becomes a
+// `create` of the changed entry.
+//
+// Each path is tracked from its state before the first patch to its state after
+// the last, and the net operations are ordered as `calculatePatch` orders them.
+//
+// options: the `caseSensitive` and `normalize` options of the trees the patches
+// were calculated between, by which their paths are compared
+function composePatches(patches, options) {
+  if (!Array.isArray(patches)) {
+    throw new TypeError('composePatches\'s first argument must be an array of patches');
+  }
+
+  var comparator = createPathComparator(options);
+  var key = comparator.key;
+  var states = Object.create(null);
+  // the keys of the paths, in the order they were first seen
+  var paths = [];
+
+  function stateFor(relativePath, existed, initialEntry) {
+    var pathKey = key(relativePath);
+    var state = states[pathKey];
+
+    if (state === undefined) {
+      state = states[pathKey] = {
+        relativePath: relativePath,
+        existed: existed,
+        initialEntry: initialEntry,
+        exists: existed,
+        entry: initialEntry,
+        changed: false,
+        // the key of the path whose original content this path now has, if any
+        origin: existed ? pathKey : null,
+      };
+      paths.push(pathKey);
+    }
+
+    return state;
+  }
+
+  function conflict(operation, patchIndex, reason) {
+    return new Error('Unable to compose patch operation: ' + operation[0] + ' `' + operation[1] + '` in patch ' + patchIndex + ', as `' + operation[1] + '` ' + reason + ' after the preceding operations.');
+  }
+
+  function add(operation, patchIndex, entry, origin) {
+    var state = stateFor(operation[1], false, undefined);
+
+    if (state.exists) {
+      throw conflict(operation, patchIndex, 'already exists');
+    }
+
+    state.exists = true;
+    state.entry = entry;
+    state.origin = origin;
+  }
+
+  function remove(operation, patchIndex, relativePath, entry) {
+    var state = stateFor(relativePath, true, entry);
+
+    if (!state.exists) {
+      throw conflict(operation, patchIndex, 'does not exist');
+    }
+
+    state.exists = false;
+    state.entry = entry;
+
+    if (state.removedEntry === undefined) {
+      state.removedEntry = entry;
+    }
+
+    return state.origin;
+  }
+
+  patches.forEach(function(patch, patchIndex) {
+    patch.forEach(function(operation) {
+      var method = operation[0];
+
+      switch (method) {
+        case 'create':
+        case 'mkdir':
+        case 'symlink':
+          add(operation, patchIndex, operation[2], null);
+          break;
+        case 'unlink':
+        case 'rmdir':
+          remove(operation, patchIndex, operation[1], operation[2]);
+          break;
+        case 'change':
+          var state = stateFor(operation[1], true, undefined);
+
+          if (!state.exists) {
+            throw conflict(operation, patchIndex, 'does not exist');
+          }
+
+          state.entry = operation[2];
+          state.changed = true;
+          state.origin = null;
+          break;
+        case 'rename':
+          var origin = remove(operation, patchIndex, operation[3].relativePath, operation[3]);
+          add(operation, patchIndex, operation[2], origin);
+          break;
+        default:
+          throw new Error('Unable to compose patch operation: ' + method + '. Only `' + Object.keys(INVERSE_OPERATIONS).join('`, `') + '` operations can be composed.');
+      }
+    });
+  });
+
+  var removals = [];
+  var additions = [];
+  var renamed = [];
+  var renamedFrom = Object.create(null);
+  var renamedTo = Object.create(null);
+
+  // a path's original content may only be renamed to one place, and only if
+  // the path itself ends up removed
+  paths.forEach(function(pathKey) {
+    var state = states[pathKey];
+    var origin = state.origin && states[state.origin];
+
+    if (!state.existed && state.exists && origin && !origin.exists &&
+        !isNested(state.origin, pathKey)) {
+      renamed.push(['rename', state.relativePath, state.entry, origin.initialEntry]);
+      renamedFrom[state.origin] = true;
+      renamedTo[pathKey] = true;
+    }
+  });
+
+  paths.forEach(function(pathKey) {
+    var state = states[pathKey];
+    var relativePath = state.relativePath;
+    // directories in patches always end with a trailing slash
+    var isDirectory = relativePath.charAt(relativePath.length - 1) === '/';
+    var removedEntry = state.initialEntry || state.removedEntry;
+
+    if (state.existed && !state.exists) {
+      if (!renamedFrom[pathKey]) {
+        removals.push([isDirectory ? 'rmdir' : 'unlink', relativePath, removedEntry]);
+      }
+    } else if (!state.existed && state.exists) {
+      if (!renamedTo[pathKey]) {
+        additions.push([additionMethod(state.entry, isDirectory), relativePath, state.entry]);
+      }
+    } else if (state.existed && state.exists) {
+      if (isDirectory) {
+        if (state.changed) {
+          // as in `calculatePatch`, directory changes are applied with removals
+          removals.push(['change', relativePath, state.entry]);
+        }
+      } else if (state.origin !== pathKey) {
+        if (isSameSymlink(removedEntry, state.entry)) {
+          // eg. a symlink replaced and then restored
+          return;
+        } else if ((removedEntry && Entry.isSymbolicLink(removedEntry)) || Entry.isSymbolicLink(state.entry)) {
+          // as in `calculatePatch`, symlinks are replaced rather than changed
+          removals.push(['unlink', relativePath, removedEntry]);
+          additions.push([additionMethod(state.entry, false), relativePath, state.entry]);
+        } else {
+          additions.push(['change', relativePath, state.entry]);
+        }
+      }
+    }
+  });
+
+  var byRelativePath = function(a, b) {
+    return comparator.compare(a[1], b[1]);
+  };
+
+  removals.sort(byRelativePath).reverse();
+  additions.sort(byRelativePath);
+  renamed.sort(byRelativePath);
+
+  return orderRenames(removals, additions, renamed, key);
+}
+
+function additionMethod(entry, isDirectory) {
+  if (isDirectory) {
+    return 'mkdir';
+  }
+
+  return entry && Entry.isSymbolicLink(entry) ? 'symlink' : 'create';
+}
+
+function isSameSymlink(entryA, entryB) {
+  return Boolean(entryA && entryB) && Entry.isSymbolicLink(entryA) && Entry.isSymbolicLink(entryB) &&
+    entryA.linkTarget === entryB.linkTarget;
+}
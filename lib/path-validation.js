@@ -0,0 +1,64 @@
+'use strict';
+
+var path = require('path-posix');
+
+module.exports = {
+  validateRelativePath: validateRelativePath,
+  isWithin: isWithin,
+};
+
+// Throws unless `relativePath` is a string which, joined to any directory,
+// names a path beneath that directory: it must not be empty or absolute, nor
+// contain backslashes, empty segments or `.` or `..` segments.  Directories
+// have a single trailing slash.
+function validateRelativePath(relativePath) {
+  if (typeof relativePath !== 'string') {
+    throw new TypeError('Expected `relativePath` to be of type `string` but was of type `' + typeof relativePath + '` instead.');
+  }
+
+  var reason = invalidity(relativePath);
+
+  if (reason !== null) {
+    throw new Error('Invalid relativePath `' + relativePath + '`: ' + reason + '.');
+  }
+}
+
+function invalidity(relativePath) {
+  if (relativePath === '') {
+    return 'paths must not be empty';
+  }
+
+  if (relativePath.charAt(0) === '/') {
+    return 'paths must be relative';
+  }
+
+  if (relativePath.indexOf('\\') !== -1) {
+    return 'paths must use `/` as their separator, and not contain backslashes';
+  }
+
+  var segments = relativePath.split('/');
+
+  // the trailing slash of directories
+  if (segments[segments.length - 1] === '') {
+    segments.pop();
+  }
+
+  for (var i = 0; i < segments.length; i++) {
+    if (segments[i] === '') {
+      return 'paths must not contain empty segments';
+    }
+
+    if (segments[i] === '.' || segments[i] === '..') {
+      return 'paths must not contain `.` or `..` segments';
+    }
+  }
+
+  return null;
+}
+
+// Returns true iff `fullPath` is `root` or beneath it.
+function isWithin(root, fullPath) {
+  var relative = path.relative(root, fullPath);
+
+  return relative !== '..' && relative.slice(0, 3) !== '../' && !path.isAbsolute(relative);
+}
@@ -0,0 +1,205 @@
+'use strict';
+
+var util = require('./util');
+
+var resolveOperation = util.resolveOperation;
+var delegateMethodError = util.delegateMethodError;
+var validatePatch = util.validatePatch;
+var fileSystemsOf = util.fileSystemsOf;
+var stripTrailingSlash = util.stripTrailingSlash;
+var parentOf = util.parentOf;
+
+module.exports = planPatch;
+
+// Returns what applying `patch` would do, without calling `delegate`:
+//
+//   {
+//     operations: [{ operation, relativePath, inputPath, outputPath, entry, problems }],
+//     problems: [{ operation, relativePath, message }]
+//   }
+//
+// Paths are resolved exactly as `applyPatch` resolves them (`rename` steps also
+// have `fromRelativePath` and `fromOutputPath`).  Each step lists the problems
+// applying it would be expected to hit, given the current contents of `input`
+// and `output` and the effects of the preceding operations.
+function planPatch(input, output, patch, delegate) {
+  var fileSystems = fileSystemsOf(delegate);
+  var state = new OutputState(fileSystems.output);
+  var problems = [];
+
+  // unsafe paths are refused outright, as by `applyPatch`
+  validatePatch(input, output, patch);
+
+  var operations = patch.map(function(operation) {
+    var resolved = resolveOperation(input, output, operation);
+    var step = {
+      operation: resolved.method,
+      relativePath: resolved.relativePath,
+      inputPath: resolved.inputPath,
+      outputPath: resolved.outputPath,
+      entry: operation[2],
+      problems: [],
+    };
+
+    if (resolved.method === 'rename') {
+      step.fromRelativePath = resolved.fromRelativePath;
+      step.fromOutputPath = resolved.fromOutputPath;
+    }
+
+    var error = delegateMethodError(delegate, resolved.method);
+
+    if (error) {
+      step.problems.push(error.message);
+    } else {
+      check(step, state, fileSystems.input);
+    }
+
+    step.problems.forEach(function(message) {
+      problems.push({
+        operation: step.operation,
+        relativePath: step.relativePath,
+        message: message,
+      });
+    });
+
+    return step;
+  });
+
+  return {
+    operations: operations,
+    problems: problems,
+  };
+}
+
+function check(step, state, inputFileSystem) {
+  var relativePath = step.relativePath;
+  var problems = step.problems;
+
+  function requireInput() {
+    if (statType(inputFileSystem, 'stat', step.inputPath) === null) {
+      problems.push('input `' + step.inputPath + '` does not exist');
+    }
+  }
+
+  function requireOutput(relativePath, outputPath, type) {
+    var actual = state.typeOf(relativePath, outputPath);
+
+    if (actual === null) {
+      problems.push('output `' + outputPath + '` does not exist');
+    } else if (type && actual !== type) {
+      problems.push('output `' + outputPath + '` is not a ' + type);
+    }
+  }
+
+  function requireNoOutput() {
+    if (state.typeOf(relativePath, step.outputPath) !== null) {
+      problems.push('output `' + step.outputPath + '` already exists');
+    }
+
+    var parent = parentOf(relativePath);
+
+    if (parent !== '' && state.typeOf(parent, parentOf(step.outputPath)) !== 'directory') {
+      problems.push('output directory `' + parentOf(step.outputPath) + '` does not exist');
+    }
+  }
+
+  switch (step.operation) {
+    case 'create':
+      requireInput();
+      requireNoOutput();
+      state.set(relativePath, 'file');
+      break;
+    case 'mkdir':
+      requireNoOutput();
+      state.set(relativePath, 'directory');
+      break;
+    case 'symlink':
+      // the link target need not exist
+      requireNoOutput();
+      state.set(relativePath, 'file');
+      break;
+    case 'change':
+      requireInput();
+      requireOutput(relativePath, step.outputPath);
+      break;
+    case 'unlink':
+      requireOutput(relativePath, step.outputPath, 'file');
+      state.set(relativePath, null);
+      break;
+    case 'rmdir':
+      requireOutput(relativePath, step.outputPath, 'directory');
+
+      if (state.hasChildren(relativePath, step.outputPath)) {
+        problems.push('output directory `' + step.outputPath + '` is not empty');
+      }
+
+      state.set(relativePath, null);
+      break;
+    case 'rename':
+      requireInput();
+      requireOutput(step.fromRelativePath, step.fromOutputPath);
+      requireNoOutput();
+      state.set(step.fromRelativePath, null);
+      state.set(relativePath, 'file');
+      break;
+  }
+}
+
+// The contents of the output directory as the patch is applied: paths touched
+// by earlier operations are tracked here, and everything else is read from
+// `fileSystem`.
+function OutputState(fileSystem) {
+  this.fileSystem = fileSystem;
+  // path -> 'file', 'directory' or null (removed)
+  this.types = Object.create(null);
+  // path -> names of children added by earlier operations
+  this.added = Object.create(null);
+}
+
+OutputState.prototype.set = function(relativePath, type) {
+  var key = stripTrailingSlash(relativePath);
+  var parent = parentOf(key);
+
+  this.types[key] = type;
+
+  if (type !== null) {
+    (this.added[parent] = this.added[parent] || []).push(key.slice(parent.length));
+  }
+};
+
+OutputState.prototype.typeOf = function(relativePath, outputPath) {
+  var key = stripTrailingSlash(relativePath);
+
+  if (key in this.types) {
+    return this.types[key];
+  }
+
+  return statType(this.fileSystem, 'lstat', outputPath);
+};
+
+OutputState.prototype.hasChildren = function(relativePath, outputPath) {
+  var state = this;
+  var key = stripTrailingSlash(relativePath);
+  var prefix = key === '' ? '' : key + '/';
+  var names;
+
+  try {
+    names = this.fileSystem.readdir(outputPath);
+  } catch (e) {
+    names = [];
+  }
+
+  names = names.concat(this.added[prefix] || []);
+
+  return names.some(function(name) {
+    return state.typeOf(prefix + name, outputPath + '/' + name) !== null;
+  });
+};
+
+function statType(fileSystem, stat, fullPath) {
+  try {
+    return fileSystem[stat](fullPath).isDirectory() ? 'directory' : 'file';
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,340 @@
+'use strict';
+
+var Entry = require('./entry');
+var util = require('./util');
+
+var stripTrailingSlash = util.stripTrailingSlash;
+var nameOf = util.nameOf;
+var ancestorsOf = util.ancestorsOf;
+
+// the effects of an operation on a path
+var ADD = 'add';
+var REMOVE = 'remove';
+var CHANGE = 'change';
+
+// the states of operations while they are being ordered
+var VISITING = 1;
+var DONE = 2;
+
+module.exports = {
+  detectRenames: detectRenames,
+  orderRenames: orderRenames,
+  isNested: isNested,
+};
+
+// Given the removal and addition operations of a patch (removals already in
+// the order they are to be applied), pairs `unlink`s and `create`s of files
+// with the same identity into `rename` operations, and returns the resulting
+// patch.  `key` is the key function of the trees' comparator, by which paths
+// are identified.
+//
+// A `rename` operation is `['rename', relativePath, entry, fromEntry]`, where
+// `entry` is the added entry and `fromEntry` the removed one.
+function detectRenames(removals, additions, key) {
+  var candidates = Object.create(null);
+  var renamesByPath = Object.create(null);
+  var renames = [];
+  var i, operation, bucket, identityKey;
+
+  for (i = 0; i < removals.length; i++) {
+    operation = removals[i];
+
+    if (operation[0] === 'unlink' && !isEmpty(operation[2])) {
+      identityKey = identity(operation[2]);
+      (candidates[identityKey] = candidates[identityKey] || []).push(operation[2]);
+    }
+  }
+
+  for (i = 0; i < additions.length; i++) {
+    operation = additions[i];
+
+    if (operation[0] !== 'create' || isEmpty(operation[2])) {
+      continue;
+    }
+
+    bucket = candidates[identity(operation[2])];
+    var fromEntry = bucket && takeBestMatch(bucket, operation[2], key);
+
+    if (fromEntry) {
+      var rename = ['rename', operation[1], operation[2], fromEntry];
+
+      renames.push(rename);
+      renamesByPath[fromEntry.relativePath] = rename;
+      renamesByPath[operation[1]] = rename;
+    }
+  }
+
+  return orderRenames(removals.filter(function(operation) {
+    return !(operation[0] === 'unlink' && renamesByPath[operation[1]]);
+  }), additions.filter(function(operation) {
+    return !(operation[0] === 'create' && renamesByPath[operation[1]]);
+  }), renames, key);
+}
+
+// Returns a patch of the given removals, additions and renames (each already
+// in the order they are to be applied), with every operation after those it
+// depends on:
+//
+//   - an operation adding a path comes after those removing that path or any
+//     of its ancestors, and those adding its ancestors (eg. `mkdir d/` after
+//     the rename of a file `d`, and a rename to `s` after `rmdir s/`)
+//   - an operation removing or changing a path comes before those removing its
+//     ancestors
+//
+// Otherwise operations are in the order:
+//
+//   1. removals, except the `rmdir`s of directories containing renamed files
+//   2. the `mkdir`s of directories containing renamed files
+//   3. renames
+//   4. the `rmdir`s deferred from (1)
+//   5. the remaining additions
+//
+// Renames which depend on each other (eg. `a/x` to `b` and `b/y` to `a`) are
+// split into an `unlink` and a `create` until no operations do.  `key` is the
+// key function of the trees' comparator, by which paths are identified.
+function orderRenames(removals, additions, renames, key) {
+  if (renames.length === 0) {
+    return removals.concat(additions);
+  }
+
+  var operations = conventionalOrder(removals, additions, renames, key);
+  var result;
+
+  while ((result = orderByDependencies(operations, key)).cycle !== undefined) {
+    var index = findRename(operations, result.cycle);
+    var rename = operations[index];
+
+    operations.splice(index, 1,
+      ['unlink', rename[3].relativePath, rename[3]],
+      [Entry.isSymbolicLink(rename[2]) ? 'symlink' : 'create', rename[1], rename[2]]);
+  }
+
+  return result.operations;
+}
+
+function conventionalOrder(removals, additions, renames, key) {
+  var sources = renames.map(function(rename) { return key(rename[3].relativePath); });
+  var destinations = renames.map(function(rename) { return key(rename[1]); });
+
+  var earlyRemovals = [];
+  var deferredRemovals = [];
+
+  removals.forEach(function(operation) {
+    if (operation[0] === 'rmdir' && containsAny(key(operation[1]), sources)) {
+      deferredRemovals.push(operation);
+    } else {
+      earlyRemovals.push(operation);
+    }
+  });
+
+  var earlyAdditions = [];
+  var lateAdditions = [];
+
+  additions.forEach(function(operation) {
+    if (operation[0] === 'mkdir' && containsAny(key(operation[1]), destinations)) {
+      earlyAdditions.push(operation);
+    } else {
+      lateAdditions.push(operation);
+    }
+  });
+
+  return earlyRemovals.
+    concat(earlyAdditions).
+    concat(renames).
+    concat(deferredRemovals).
+    concat(lateAdditions);
+}
+
+// Returns `{ operations }`, ordered by their dependencies but otherwise as
+// given, or `{ cycle }`, the indices of operations which depend on each other.
+function orderByDependencies(operations, key) {
+  var dependencies = dependenciesOf(operations, key);
+  var visited = [];
+  var ordered = [];
+
+  for (var i = 0; i < operations.length; i++) {
+    if (visited[i] === DONE) {
+      continue;
+    }
+
+    // a depth first search, emitting each operation after its dependencies
+    var stack = [[i, 0]];
+    visited[i] = VISITING;
+
+    while (stack.length > 0) {
+      var frame = stack[stack.length - 1];
+      var index = frame[0];
+
+      if (frame[1] < dependencies[index].length) {
+        var dependency = dependencies[index][frame[1]++];
+
+        if (visited[dependency] === VISITING) {
+          return { cycle: stack.slice(indexOfFrame(stack, dependency)).map(function(frame) { return frame[0]; }) };
+        } else if (visited[dependency] === undefined) {
+          visited[dependency] = VISITING;
+          stack.push([dependency, 0]);
+        }
+      } else {
+        visited[index] = DONE;
+        ordered.push(operations[index]);
+        stack.pop();
+      }
+    }
+  }
+
+  return { operations: ordered };
+}
+
+// Returns, for each operation, the indices of the operations it depends on,
+// in order.
+function dependenciesOf(operations, key) {
+  var effects = operations.map(function(operation) {
+    return effectsOf(operation, key);
+  });
+  var adders = Object.create(null);
+  var removers = Object.create(null);
+  var dependencies = operations.map(function() { return []; });
+
+  function depend(index, indices) {
+    if (indices !== undefined) {
+      dependencies[index].push.apply(dependencies[index], indices);
+    }
+  }
+
+  effects.forEach(function(operationEffects, index) {
+    operationEffects.forEach(function(effect) {
+      var paths = effect[0] === ADD ? adders : removers;
+
+      if (effect[0] !== CHANGE) {
+        (paths[effect[1]] = paths[effect[1]] || []).push(index);
+      }
+    });
+  });
+
+  effects.forEach(function(operationEffects, index) {
+    operationEffects.forEach(function(effect) {
+      var ancestors = ancestorsOf(effect[1]);
+
+      if (effect[0] === ADD) {
+        depend(index, removers[effect[1]]);
+      }
+
+      ancestors.forEach(function(ancestor) {
+        if (effect[0] === ADD) {
+          depend(index, adders[ancestor]);
+          depend(index, removers[ancestor]);
+        } else {
+          (removers[ancestor] || []).forEach(function(remover) {
+            dependencies[remover].push(index);
+          });
+        }
+      });
+    });
+  });
+
+  return dependencies.map(function(indices, index) {
+    return indices.filter(function(dependency) {
+      return dependency !== index;
+    }).sort(function(a, b) {
+      return a - b;
+    });
+  });
+}
+
+// the paths (as keys, without trailing slashes) an operation adds, removes or
+// changes, as `[effect, path]` pairs
+function effectsOf(operation, key) {
+  var pathKey = key(stripTrailingSlash(operation[1]));
+
+  switch (operation[0]) {
+    case 'unlink':
+    case 'rmdir':
+      return [[REMOVE, pathKey]];
+    case 'rename':
+      return [[REMOVE, key(stripTrailingSlash(operation[3].relativePath))], [ADD, pathKey]];
+    case 'change':
+      return [[CHANGE, pathKey]];
+    default:
+      return [[ADD, pathKey]];
+  }
+}
+
+function indexOfFrame(stack, index) {
+  for (var i = 0; i < stack.length; i++) {
+    if (stack[i][0] === index) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+function findRename(operations, indices) {
+  for (var i = 0; i < indices.length; i++) {
+    if (operations[indices[i]][0] === 'rename') {
+      return indices[i];
+    }
+  }
+
+  throw new Error('Unable to order patch operations: `' + indices.map(function(index) {
+    return operations[index][0] + ' ' + operations[index][1];
+  }).join('`, `') + '` depend on each other.');
+}
+
+// empty files (and entries without a size) are never renamed, as they are
+// indistinguishable from each other
+function isEmpty(entry) {
+  return typeof entry.size !== 'number' || entry.size <= 0;
+}
+
+// Files are considered the same file if their size and mode match, and either
+// both have the same `digest` or, lacking digests, the same mtime.
+function identity(entry) {
+  var key = entry.size + ':' + entry.mode + ':';
+
+  if (entry.digest !== undefined) {
+    return key + 'digest:' + entry.digest;
+  }
+
+  return key + 'mtime:' + (+entry.mtime);
+}
+
+// Prefers a removed entry with the same basename as `entry` (a move between
+// directories), otherwise the first candidate.  A file is never renamed into
+// or out of a directory which replaces it, eg `a` -> `a/b`.
+function takeBestMatch(bucket, entry, key) {
+  var name = key(nameOf(entry.relativePath));
+  var match = -1;
+
+  for (var i = 0; i < bucket.length; i++) {
+    if (isNested(key(bucket[i].relativePath), key(entry.relativePath))) {
+      continue;
+    }
+
+    if (key(nameOf(bucket[i].relativePath)) === name) {
+      match = i;
+      break;
+    }
+
+    if (match === -1) {
+      match = i;
+    }
+  }
+
+  return match === -1 ? undefined : bucket.splice(match, 1)[0];
+}
+
+// true iff either path is within the other, eg `a` and `a/b`
+function isNested(a, b) {
+  return b.indexOf(a + '/') === 0 || a.indexOf(b + '/') === 0;
+}
+
+function containsAny(directoryPath, relativePaths) {
+  for (var i = 0; i < relativePaths.length; i++) {
+    if (relativePaths[i].indexOf(directoryPath) === 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,110 @@
+'use strict';
+
+var Entry = require('./entry');
+
+var VERSION = 1;
+var REQUIRED_PROPERTIES = ['relativePath', 'size', 'mtime', 'mode'];
+
+module.exports = {
+  VERSION: VERSION,
+  serializeEntry: serializeEntry,
+  deserializeEntry: deserializeEntry,
+  serializePatch: serializePatch,
+  deserializePatch: deserializePatch,
+  serializeTree: serializeTree,
+  deserializeTree: deserializeTree,
+};
+
+// Entries are serialized as plain objects with their required properties and
+// any other own enumerable properties (user-supplied metadata) as-is.  `Date`
+// mtimes (as produced by `Entry.fromStat`) are serialized as `{ "$date": ms }`
+// so that they deserialize as dates again.
+function serializeEntry(entry) {
+  var json = {
+    relativePath: entry.relativePath,
+    size: entry.size,
+    mtime: entry.mtime instanceof Date ? { $date: entry.mtime.getTime() } : entry.mtime,
+    mode: entry.mode,
+  };
+
+  Object.keys(entry).forEach(function(key) {
+    if (REQUIRED_PROPERTIES.indexOf(key) === -1) {
+      json[key] = entry[key];
+    }
+  });
+
+  return json;
+}
+
+function deserializeEntry(json) {
+  if (json === null || typeof json !== 'object' || typeof json.relativePath !== 'string') {
+    throw new TypeError('Expected a serialized entry but got `' + JSON.stringify(json) + '` instead.');
+  }
+
+  var mtime = json.mtime !== null && typeof json.mtime === 'object' ?
+    new Date(json.mtime.$date) : json.mtime;
+  var entry = new Entry(json.relativePath, json.size, mtime, json.mode);
+
+  Object.keys(json).forEach(function(key) {
+    if (REQUIRED_PROPERTIES.indexOf(key) === -1) {
+      entry[key] = json[key];
+    }
+  });
+
+  return entry;
+}
+
+// Returns a JSON string.  The entries of operations (including the `fromEntry`
+// of `rename` operations) are serialized; operations without entries are
+// serialized as `[operation, relativePath]`.
+function serializePatch(patch) {
+  return JSON.stringify({
+    version: VERSION,
+    type: 'patch',
+    operations: patch.map(function(operation) {
+      return operation.map(function(value, index) {
+        return index < 2 ? value : serializeEntry(value);
+      });
+    }),
+  });
+}
+
+// Accepts the output of `serializePatch`, or the result of parsing it.
+function deserializePatch(json) {
+  var data = parse(json, 'patch');
+
+  return data.operations.map(function(operation) {
+    return operation.map(function(value, index) {
+      return index < 2 ? value : deserializeEntry(value);
+    });
+  });
+}
+
+// Returns a plain object suitable for `JSON.stringify`.
+function serializeTree(tree) {
+  return {
+    version: VERSION,
+    type: 'tree',
+    entries: tree.entries.map(serializeEntry),
+  };
+}
+
+// Accepts the output of `serializeTree`, either as an object or a JSON string,
+// and returns the deserialized entries.
+function deserializeTree(json) {
+  return parse(json, 'tree').entries.map(deserializeEntry);
+}
+
+function parse(json, type) {
+  var data = typeof json === 'string' ? JSON.parse(json) : json;
+
+  if (data === null || typeof data !== 'object' || data.type !== type) {
+    throw new TypeError('Expected a serialized ' + type + ' but got `' + (data && data.type) + '` instead.');
+  }
+
+  if (data.version !== VERSION) {
+    throw new Error('Unsupported serialized ' + type + ' version: `' + data.version + '`. Expected version `' + VERSION + '`.');
+  }
+
+  return data;
+}
@@ -0,0 +1,118 @@
+'use strict';
+
+var fs = require('fs');
+var crypto = require('crypto');
+var Entry = require('./entry');
+
+var VERSION = 1;
+var ALGORITHM = 'sha1';
+var REQUIRED_PROPERTIES = ['relativePath', 'size', 'mtime', 'mode'];
+
+module.exports = {
+  VERSION: VERSION,
+  saveSnapshot: saveSnapshot,
+  loadSnapshot: loadSnapshot,
+};
+
+// Snapshots are two lines of JSON: a header, and the entries as
+// `[relativePath, size, mtime, mode]` tuples (mtimes in ms), with an object of
+// any other own enumerable properties (eg. `digest`) appended when present.
+//
+//   {"version":1,"type":"snapshot","algorithm":"sha1","digest":"…","count":2}
+//   [["a/",0,0,16877],["a/b.js",3,1480000000000,33188,{"digest":"…"}]]
+//
+// The header's digest is of the second line, so that truncated or otherwise
+// corrupted snapshots are detected on load.  Snapshots are written to a
+// temporary file which is then renamed into place, so that an interrupted save
+// never leaves a partial snapshot behind.
+function saveSnapshot(entries, file) {
+  var body = JSON.stringify(entries.map(toTuple));
+  var header = JSON.stringify({
+    version: VERSION,
+    type: 'snapshot',
+    algorithm: ALGORITHM,
+    digest: digest(body),
+    count: entries.length,
+  });
+  var tmpFile = file + '.' + process.pid + '.tmp';
+
+  fs.writeFileSync(tmpFile, header + '\n' + body + '\n');
+  fs.renameSync(tmpFile, file);
+}
+
+// Returns the entries of the snapshot saved to `file`.  Throws if `file` is
+// not a valid, intact snapshot.
+function loadSnapshot(file) {
+  var contents = fs.readFileSync(file, 'utf8');
+  var newline = contents.indexOf('\n');
+  var header = parse(file, newline === -1 ? contents : contents.slice(0, newline));
+
+  if (header === null || typeof header !== 'object' || header.type !== 'snapshot') {
+    throw invalid(file, 'it is not a snapshot');
+  }
+
+  if (header.version !== VERSION) {
+    throw invalid(file, 'unsupported snapshot version `' + header.version + '`, expected version `' + VERSION + '`');
+  }
+
+  var body = contents.slice(newline + 1).replace(/\n$/, '');
+
+  if (newline === -1 || digest(body) !== header.digest) {
+    throw invalid(file, 'its contents do not match its ' + ALGORITHM + ' digest');
+  }
+
+  var tuples = parse(file, body);
+
+  if (!Array.isArray(tuples) || tuples.length !== header.count) {
+    throw invalid(file, 'expected ' + header.count + ' entries');
+  }
+
+  return tuples.map(fromTuple);
+}
+
+function toTuple(entry) {
+  var tuple = [entry.relativePath, entry.size, +entry.mtime, entry.mode];
+  var extra = null;
+
+  Object.keys(entry).forEach(function(key) {
+    if (REQUIRED_PROPERTIES.indexOf(key) === -1) {
+      extra = extra || {};
+      extra[key] = entry[key];
+    }
+  });
+
+  if (extra !== null) {
+    tuple.push(extra);
+  }
+
+  return tuple;
+}
+
+function fromTuple(tuple) {
+  var entry = new Entry(tuple[0], tuple[1], new Date(tuple[2]), tuple[3]);
+  var extra = tuple[4];
+
+  if (extra) {
+    Object.keys(extra).forEach(function(key) {
+      entry[key] = extra[key];
+    });
+  }
+
+  return entry;
+}
+
+function digest(body) {
+  return crypto.createHash(ALGORITHM).update(body).digest('hex');
+}
+
+function parse(file, json) {
+  try {
+    return JSON.parse(json);
+  } catch (e) {
+    throw invalid(file, e.message);
+  }
+}
+
+function invalid(file, reason) {
+  return new Error('Unable to load snapshot `' + file + '`: ' + reason + '.');
+}
@@ -0,0 +1,150 @@
+'use strict';
+
+var util = require('./util');
+
+var parentOf = util.parentOf;
+var pad = util.pad;
+
+var OPERATIONS = ['unlink', 'rmdir', 'mkdir', 'create', 'change', 'rename', 'symlink'];
+var DEFAULT_DIRECTORY_LIMIT = 5;
+var UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+module.exports = {
+  summarizePatch: summarizePatch,
+  formatPatchSummary: formatPatchSummary,
+};
+
+// Returns statistics of `patch`:
+//
+//   - operations: the number of operations
+//   - counts: the number of operations of each type
+//   - bytes: the total size of the files `created`, `changed` and `removed`,
+//     from the sizes of their entries (directories are not counted)
+//   - directories: the directories directly containing the most operations, as
+//     `{ relativePath, operations }`, most affected first ('' is the root)
+//
+// options:
+//   - directories: how many directories to include; defaults to 5
+function summarizePatch(patch, options) {
+  if (!Array.isArray(patch)) {
+    throw new TypeError('summarizePatch\'s first argument must be an array of operations');
+  }
+
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  var limit = options.directories == null ? DEFAULT_DIRECTORY_LIMIT : options.directories;
+  var counts = {};
+  var bytes = { created: 0, changed: 0, removed: 0 };
+  var directories = Object.create(null);
+
+  OPERATIONS.forEach(function(method) {
+    counts[method] = 0;
+  });
+
+  patch.forEach(function(operation) {
+    var method = operation[0];
+    var relativePath = operation[1];
+    var entry = operation[2];
+    var directory = parentOf(relativePath);
+
+    counts[method] = (counts[method] || 0) + 1;
+    directories[directory] = (directories[directory] || 0) + 1;
+
+    if (isDirectoryPath(relativePath)) {
+      return;
+    }
+
+    switch (method) {
+      case 'create':
+      case 'symlink':
+        bytes.created += sizeOf(entry);
+        break;
+      case 'change':
+        bytes.changed += sizeOf(entry);
+        break;
+      case 'unlink':
+        bytes.removed += sizeOf(entry);
+        break;
+    }
+  });
+
+  var mostAffected = Object.keys(directories).map(function(relativePath) {
+    return { relativePath: relativePath, operations: directories[relativePath] };
+  }).sort(function(a, b) {
+    if (a.operations !== b.operations) {
+      return b.operations - a.operations;
+    }
+
+    return a.relativePath < b.relativePath ? -1 : 1;
+  });
+
+  return {
+    operations: patch.length,
+    counts: counts,
+    bytes: bytes,
+    directories: mostAffected.slice(0, limit),
+  };
+}
+
+// Renders the result of `summarizePatch` as a short text report, eg.
+//
+//   5 operations: 1 unlink, 1 mkdir, 2 create, 1 change
+//   bytes: 1.5 KB created, 120 B changed, 2 KB removed
+//   most affected directories:
+//     src/  3
+//     ./    2
+function formatPatchSummary(summary) {
+  var counts = Object.keys(summary.counts).filter(function(method) {
+    return summary.counts[method] > 0;
+  }).map(function(method) {
+    return summary.counts[method] + ' ' + method;
+  });
+
+  var lines = [
+    summary.operations + ' ' + (summary.operations === 1 ? 'operation' : 'operations') +
+      (counts.length > 0 ? ': ' + counts.join(', ') : ''),
+  ];
+
+  if (summary.operations === 0) {
+    return lines[0];
+  }
+
+  lines.push('bytes: ' + formatBytes(summary.bytes.created) + ' created, ' +
+             formatBytes(summary.bytes.changed) + ' changed, ' +
+             formatBytes(summary.bytes.removed) + ' removed');
+
+  if (summary.directories.length > 0) {
+    var names = summary.directories.map(function(directory) {
+      return directory.relativePath === '' ? './' : directory.relativePath;
+    });
+    var width = Math.max.apply(Math, names.map(function(name) { return name.length; }));
+
+    lines.push('most affected directories:');
+
+    summary.directories.forEach(function(directory, index) {
+      lines.push('  ' + pad(names[index], width) + '  ' + directory.operations);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+function isDirectoryPath(relativePath) {
+  return relativePath.charAt(relativePath.length - 1) === '/';
+}
+
+function sizeOf(entry) {
+  return entry && typeof entry.size === 'number' ? entry.size : 0;
+}
+
+// 512 -> '512 B'; 1536 -> '1.5 KB'
+function formatBytes(size) {
+  var unit = 0;
+
+  while (size >= 1024 && unit < UNITS.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+
+  return (unit === 0 ? size : Math.round(size * 10) / 10) + ' ' + UNITS[unit];
+}
@@ -0,0 +1,162 @@
+'use strict';
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path-posix');
+var stripTrailingSlash = require('./util').stripTrailingSlash;
+
+var counter = 0;
+
+module.exports = Transaction;
+
+// Records the state of output paths before a patch touches them, so that the
+// output can be restored if applying the patch fails.
+//
+// Only the first state of each path is recorded.  Symlinks are recorded by
+// their target and directories by their existence; regular files are copied to
+// a temporary backup directory on disk.  The output is read and restored
+// through `fileSystem` (see `util.fileSystemsOf`).
+function Transaction(output, fileSystem) {
+  this.output = output;
+  this.fileSystem = fileSystem;
+  this.backupDir = null;
+  // output paths (without trailing slashes), in the order first touched
+  this._paths = [];
+  this._states = Object.create(null);
+}
+
+// Records the current state of `relativePaths` (the paths an operation is about
+// to touch), unless they have already been recorded.
+Transaction.prototype.record = function(relativePaths) {
+  for (var i = 0; i < relativePaths.length; i++) {
+    var outputPath = stripTrailingSlash(path.join(this.output, relativePaths[i]));
+
+    if (outputPath in this._states) {
+      continue;
+    }
+
+    this._states[outputPath] = this._capture(outputPath);
+    this._paths.push(outputPath);
+  }
+};
+
+// Discards the backups once the patch has been applied.
+Transaction.prototype.commit = function() {
+  this._cleanup();
+};
+
+// Restores every recorded path to its recorded state, most recently touched
+// first, and returns the error to throw for `error`, raised while applying
+// `operation`.
+Transaction.prototype.rollback = function(operation, error) {
+  var rollbackError = null;
+
+  try {
+    for (var i = this._paths.length - 1; i >= 0; i--) {
+      this._restore(this._paths[i], this._states[this._paths[i]]);
+    }
+  } catch (e) {
+    rollbackError = e;
+  }
+
+  var message = 'Unable to apply patch operation: ' + operation[0] + ' `' + operation[1] + '`: ' + error.message;
+  var wrapped;
+
+  if (rollbackError === null) {
+    this._cleanup();
+    wrapped = new Error(message + '. The output has been restored to its state before the patch.');
+  } else {
+    // keep the backups, as they may be needed to recover by hand
+    wrapped = new Error(message + '. Restoring the output then failed: ' + rollbackError.message +
+                        (this.backupDir === null ? '' : '. Backups remain in `' + this.backupDir + '`'));
+    wrapped.rollbackError = rollbackError;
+  }
+
+  wrapped.operation = operation;
+  wrapped.cause = error;
+
+  return wrapped;
+};
+
+Transaction.prototype._capture = function(outputPath) {
+  var stat;
+
+  try {
+    stat = this.fileSystem.lstat(outputPath);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      return { type: null };
+    }
+
+    throw e;
+  }
+
+  if (stat.isDirectory()) {
+    return { type: 'directory' };
+  }
+
+  if (stat.isSymbolicLink()) {
+    return { type: 'symlink', target: this.fileSystem.readlink(outputPath) };
+  }
+
+  if (this.backupDir === null) {
+    this.backupDir = path.join(os.tmpdir(), 'fs-tree-diff-backup-' + process.pid + '-' + Date.now() + '-' + (counter++));
+    fs.mkdirSync(this.backupDir);
+  }
+
+  var backupPath = path.join(this.backupDir, String(this._paths.length));
+  fs.writeFileSync(backupPath, this.fileSystem.readFile(outputPath));
+
+  return { type: 'file', backupPath: backupPath, mode: stat.mode };
+};
+
+Transaction.prototype._restore = function(outputPath, state) {
+  var current = null;
+
+  try {
+    current = this.fileSystem.lstat(outputPath);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+  }
+
+  if (current !== null) {
+    if (current.isDirectory()) {
+      if (state.type === 'directory') {
+        return;
+      }
+
+      this.fileSystem.rmdir(outputPath);
+    } else {
+      this.fileSystem.unlink(outputPath);
+    }
+  }
+
+  switch (state.type) {
+    case 'directory':
+      this.fileSystem.mkdir(outputPath);
+      break;
+    case 'symlink':
+      this.fileSystem.symlink(state.target, outputPath);
+      break;
+    case 'file':
+      this.fileSystem.writeFile(outputPath, fs.readFileSync(state.backupPath), { mode: state.mode });
+      break;
+  }
+};
+
+Transaction.prototype._cleanup = function() {
+  if (this.backupDir === null) {
+    return;
+  }
+
+  var backupDir = this.backupDir;
+
+  fs.readdirSync(backupDir).forEach(function(name) {
+    fs.unlinkSync(path.join(backupDir, name));
+  });
+  fs.rmdirSync(backupDir);
+
+  this.backupDir = null;
+};
@@ -1,13 +1,114 @@
 'use strict';
 
+var fs = require('fs');
+var minimatch = require('minimatch');
+var path = require('path-posix');
 var Entry = require('./entry');
+var pathValidation = require('./path-validation');
+
+var validateRelativePath = pathValidation.validateRelativePath;
+var isWithin = pathValidation.isWithin;
+
+var NORMALIZATION_FORMS = ['NFC', 'NFD', 'NFKC', 'NFKD'];
+
+// the disk, with the methods of `MemoryFileSystem` which `applyPatch` reads and
+// restores the input and output with (see `fileSystemsOf`)
+var DISK = {
+  stat: function(filePath) { return fs.statSync(filePath); },
+  lstat: function(filePath) { return fs.lstatSync(filePath); },
+  readdir: function(dirPath) { return fs.readdirSync(dirPath); },
+  readlink: function(filePath) { return fs.readlinkSync(filePath); },
+  readFile: function(filePath) { return fs.readFileSync(filePath); },
+  writeFile: function(filePath, contents, options) { fs.writeFileSync(filePath, contents, options); },
+  mkdir: function(dirPath) { fs.mkdirSync(dirPath); },
+  rmdir: function(dirPath) { fs.rmdirSync(dirPath); },
+  unlink: function(filePath) { fs.unlinkSync(filePath); },
+  symlink: function(target, linkPath) { fs.symlinkSync(target, linkPath); },
+};
+
+// How a tree compares relativePaths, for sorting, validation and diffing.
+// Paths are compared by their keys: the path itself by default, optionally
+// Unicode normalized (`normalize`) and/or case folded (`caseSensitive: false`).
+// Paths with equal keys are the same path.
+function PathComparator(options) {
+  options = options || {};
+
+  var caseSensitive = options.caseSensitive !== false;
+  var normalize = options.normalize == null ? null : options.normalize;
+
+  if (normalize !== null && NORMALIZATION_FORMS.indexOf(normalize) === -1) {
+    throw new TypeError('Expected `normalize` to be one of `' + NORMALIZATION_FORMS.join('`, `') + '` but was `' + normalize + '` instead.');
+  }
+
+  this.caseSensitive = caseSensitive;
+  this.normalize = normalize;
+  this.isDefault = caseSensitive && normalize === null;
+
+  this.key = this.key.bind(this);
+  this.compare = this.compare.bind(this);
+  this.compareEntries = this.compareEntries.bind(this);
+}
+
+PathComparator.prototype.key = function(relativePath) {
+  if (this.normalize !== null) {
+    relativePath = relativePath.normalize(this.normalize);
+  }
+
+  if (!this.caseSensitive) {
+    relativePath = relativePath.toLowerCase();
+  }
+
+  return relativePath;
+};
+
+PathComparator.prototype.compare = function(pathA, pathB) {
+  var keyA = this.key(pathA);
+  var keyB = this.key(pathB);
+
+  if (keyA < keyB) {
+    return -1;
+  } else if (keyA > keyB) {
+    return 1;
+  }
+
+  return 0;
+};
+
+PathComparator.prototype.compareEntries = function(entryA, entryB) {
+  return this.compare(entryA.relativePath, entryB.relativePath);
+};
+
+PathComparator.prototype.equals = function(other) {
+  return this.caseSensitive === other.caseSensitive && this.normalize === other.normalize;
+};
+
+var DEFAULT_COMPARATOR = new PathComparator();
+
+// Returns the comparator for the given tree options, sharing the default one.
+function createPathComparator(options) {
+  if (!options || (options.caseSensitive !== false && options.normalize == null)) {
+    return DEFAULT_COMPARATOR;
+  }
+
+  return new PathComparator(options);
+}
+
+// Validates the relativePath of each entry (see `validateRelativePath`), as
+// entries need not have been created by `Entry`.
+function validateEntryPaths(entries) {
+  for (var i = 0; i < entries.length; i++) {
+    validateRelativePath(entries[i].relativePath);
+  }
+}
+
+function validateSortedUnique(entries, comparator) {
+  comparator = comparator || DEFAULT_COMPARATOR;
 
-function validateSortedUnique(entries) {
   for (var i = 1; i < entries.length; i++) {
     var previous = entries[i - 1].relativePath;
     var current = entries[i].relativePath;
 
-    if (previous < current) {
+    if (comparator.isDefault ? previous < current : comparator.compare(previous, current) < 0) {
       continue;
     } else {
       throw new Error('expected entries[' + (i -1) + ']: `' + previous +
@@ -17,7 +118,13 @@ function validateSortedUnique(entries) {
 }
 
 
-function commonPrefix(a, b, term) {
+// With `key`, the prefix is compared one `term`-terminated segment at a time
+// by the segments' keys, and returned as it appears in `b`.
+function commonPrefix(a, b, term, key) {
+  if (key !== undefined) {
+    return commonKeyedPrefix(a, b, term, key);
+  }
+
   var max = Math.min(a.length, b.length);
   var end = -1;
 
@@ -32,16 +139,27 @@ function commonPrefix(a, b, term) {
   return a.substr(0, end + 1);
 }
 
-function basename(entry) {
-  var path = entry.relativePath;
-  var end = path.length - 2;
-  for(var i = end; i >= 0; --i) {
-    if (path[i] === '/') {
-      return path.substr(0, i + 1);
+function commonKeyedPrefix(a, b, term, key) {
+  var startA = 0;
+  var startB = 0;
+
+  while (true) {
+    var endA = a.indexOf(term, startA);
+    var endB = b.indexOf(term, startB);
+
+    if (endA === -1 || endB === -1 || key(a.slice(startA, endA)) !== key(b.slice(startB, endB))) {
+      break;
     }
+
+    startA = endA + 1;
+    startB = endB + 1;
   }
 
-  return '';
+  return b.substr(0, startB);
+}
+
+function basename(entry) {
+  return parentOf(entry.relativePath);
 }
 
 function computeImpliedEntries(basePath, relativePath) {
@@ -70,8 +188,306 @@ function compareByRelativePath(entryA, entryB) {
   return 0;
 }
 
-function sortAndExpand(entries) {
-  entries.sort(compareByRelativePath);
+// Returns a copy of `entry` (of the same type, with the same properties) at
+// `relativePath`.
+function withRelativePath(entry, relativePath) {
+  var copy = Object.create(Object.getPrototypeOf(entry));
+
+  Object.keys(entry).forEach(function(key) {
+    copy[key] = entry[key];
+  });
+
+  copy.relativePath = relativePath;
+
+  return copy;
+}
+
+// Validates a directory path argument, returning it with a trailing slash, or
+// as '' for the root.
+function toDirectoryPath(dirPath) {
+  if (typeof dirPath !== 'string') {
+    throw new TypeError('Expected `dirPath` to be of type `string` but was of type `' + typeof dirPath + '` instead.');
+  }
+
+  if (dirPath === '' || dirPath === '/') {
+    return '';
+  }
+
+  return dirPath.charAt(dirPath.length - 1) === '/' ? dirPath : dirPath + '/';
+}
+
+// 'a/b/' -> 'a/b', 'a/b' -> 'a/b'
+function stripTrailingSlash(relativePath) {
+  return relativePath.charAt(relativePath.length - 1) === '/' ?
+    relativePath.slice(0, -1) : relativePath;
+}
+
+// 'a/b/c' -> 'a/b/', 'a/b/' -> 'a/', 'a' -> ''
+function parentOf(relativePath) {
+  var key = stripTrailingSlash(relativePath);
+
+  return key.slice(0, key.lastIndexOf('/') + 1);
+}
+
+// 'a/b/c' -> 'c', 'a/b/' -> 'b/'
+function nameOf(relativePath) {
+  return relativePath.slice(parentOf(relativePath).length);
+}
+
+// 'a/b/c' -> ['a', 'a/b']
+function ancestorsOf(relativePath) {
+  var ancestors = [];
+
+  for (var i = 0; i < relativePath.length; i++) {
+    if (relativePath[i] === '/') {
+      ancestors.push(relativePath.slice(0, i));
+    }
+  }
+
+  return ancestors;
+}
+
+// pads `string` with trailing spaces to `width` characters
+function pad(string, width) {
+  while (string.length < width) {
+    string += ' ';
+  }
+
+  return string;
+}
+
+// Returns a buffer of `contents` (a string or buffer).  `Buffer.from` is
+// missing on old versions of node, and on node 4.0 and 4.1 is the inherited
+// `Uint8Array.from`, which does not accept strings.
+function toBuffer(contents) {
+  return Buffer.from && Buffer.from !== Uint8Array.from ? Buffer.from(contents) : new Buffer(contents);
+}
+
+// Builds a predicate answering whether a relativePath (without any trailing
+// slash) is selected by the given `include` and `exclude` globs.  Either may be
+// a single glob or an array of globs.  When no `include` globs are given,
+// every path not excluded is selected.
+function createMatcher(include, exclude) {
+  var includes = toMinimatches(include);
+  var excludes = toMinimatches(exclude);
+
+  function matchesAny(matchers, relativePath) {
+    for (var i = 0; i < matchers.length; i++) {
+      if (matchers[i].match(relativePath)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  return {
+    isExcluded: function(relativePath) {
+      return matchesAny(excludes, relativePath);
+    },
+
+    isIncluded: function(relativePath) {
+      return includes.length === 0 || matchesAny(includes, relativePath);
+    },
+
+    matches: function(relativePath) {
+      return this.isIncluded(relativePath) && !this.isExcluded(relativePath);
+    }
+  };
+}
+
+function toMinimatches(globs) {
+  if (globs == null) {
+    return [];
+  }
+
+  if (!Array.isArray(globs)) {
+    globs = [globs];
+  }
+
+  return globs.map(function(glob) {
+    if (typeof glob !== 'string') {
+      throw new TypeError('Expected glob to be of type `string` but was of type `' + typeof glob + '` instead.');
+    }
+
+    return new minimatch.Minimatch(glob, { dot: true });
+  });
+}
+
+// Resolves the paths an operation applies to, as passed to delegate methods.
+//
+// `input` may be an array of directories, one per tree passed to `FSTree.merge`,
+// in which case the input path is resolved against the directory of the tree
+// the operation's entry came from (its `source`).  Entries with no `source`,
+// such as directories implied by the merged trees, have no input path.
+function resolveOperation(input, output, operation) {
+  var relativePath = operation[1];
+  var resolved = {
+    method: operation[0],
+    relativePath: relativePath,
+    inputPath: inputPathFor(input, operation[2], relativePath),
+    outputPath: path.join(output, relativePath),
+  };
+
+  if (resolved.method === 'rename') {
+    resolved.fromRelativePath = operation[3].relativePath;
+    resolved.fromOutputPath = path.join(output, resolved.fromRelativePath);
+  } else if (resolved.method === 'symlink') {
+    resolved.linkTarget = operation[2].linkTarget;
+  }
+
+  return resolved;
+}
+
+// Returns `{ input, output }`, the filesystems `delegate` applies patches from
+// and to, which `applyPatch` inspects for dry runs and backs up and restores
+// for transactional patches.  Delegates which do not apply patches to disk,
+// such as those of `MemoryFileSystem`, name them as `delegate.fileSystems`;
+// otherwise both are the disk.
+function fileSystemsOf(delegate) {
+  var fileSystems = delegate.fileSystems || {};
+
+  return {
+    input: fileSystems.input || DISK,
+    output: fileSystems.output || DISK,
+  };
+}
+
+function inputPathFor(input, entry, relativePath) {
+  if (!Array.isArray(input)) {
+    return path.join(input, relativePath);
+  }
+
+  if (!entry || entry.source === undefined) {
+    return null;
+  }
+
+  if (typeof input[entry.source] !== 'string') {
+    throw new Error('Unable to resolve the input path of `' + relativePath + '`: no input directory was given for tree ' + entry.source + '.');
+  }
+
+  return path.join(input[entry.source], relativePath);
+}
+
+// Throws if `operation` has an invalid path, or a path which would resolve
+// outside of the input or output directories, or if it creates a symlink whose
+// target is absolute or resolves outside of the output directory.
+function validateOperationPaths(input, output, operation) {
+  var method = operation[0];
+  var relativePath = operation[1];
+
+  function refuse(reason) {
+    return new Error('Unable to apply patch operation: ' + method + ' `' + relativePath + '`. ' + reason);
+  }
+
+  function requireWithin(root, fullPath, name) {
+    if (fullPath != null && !isWithin(root, fullPath)) {
+      throw refuse('`' + fullPath + '` is outside of the ' + name + ' directory `' + root + '`.');
+    }
+  }
+
+  try {
+    validateRelativePath(relativePath);
+
+    if (method === 'rename') {
+      validateRelativePath(operation[3].relativePath);
+    }
+  } catch (e) {
+    throw refuse(e.message);
+  }
+
+  var resolved = resolveOperation(input, output, operation);
+  var entry = operation[2];
+
+  requireWithin(Array.isArray(input) ? input[entry && entry.source] : input, resolved.inputPath, 'input');
+  requireWithin(output, resolved.outputPath, 'output');
+  requireWithin(output, resolved.fromOutputPath, 'output');
+
+  if (method === 'symlink' && typeof resolved.linkTarget === 'string') {
+    // backslashes are separators on some platforms
+    var linkTarget = resolved.linkTarget.replace(/\\/g, '/');
+
+    if (path.isAbsolute(linkTarget) || /^[a-zA-Z]:/.test(linkTarget)) {
+      throw refuse('The link target `' + resolved.linkTarget + '` is absolute.');
+    }
+
+    var targetPath = path.join(output, parentOf(relativePath), linkTarget);
+
+    if (!isWithin(output, targetPath)) {
+      throw refuse('The link target `' + resolved.linkTarget + '` resolves to `' + targetPath + '`, which is outside of the output directory `' + output + '`.');
+    }
+  }
+}
+
+// Validates the paths of every operation of `patch` (see
+// `validateOperationPaths`), so that nothing is applied if any are refused.
+// Operations beneath a symlink which an earlier operation creates are refused
+// too, as they would write wherever the symlink leads.  With a `delegate`,
+// operations it has no method for are refused first.
+function validatePatch(input, output, patch, delegate) {
+  // the paths of the symlinks created so far, case folded to cover
+  // case-insensitive filesystems
+  var symlinks = Object.create(null);
+
+  for (var i = 0; i < patch.length; i++) {
+    var operation = patch[i];
+    var method = operation[0];
+    var error = delegate === undefined ? null : delegateMethodError(delegate, method);
+
+    if (error) {
+      throw error;
+    }
+
+    validateOperationPaths(input, output, operation);
+
+    var relativePaths = method === 'rename' ? [operation[3].relativePath, operation[1]] : [operation[1]];
+
+    for (var j = 0; j < relativePaths.length; j++) {
+      var link = firstSymlinkAncestor(symlinks, relativePaths[j]);
+
+      if (link !== undefined) {
+        throw new Error('Unable to apply patch operation: ' + method + ' `' + relativePaths[j] + '`. `' + link + '` is a symlink created by the patch.');
+      }
+    }
+
+    if (method === 'symlink') {
+      symlinks[operation[1].toLowerCase()] = operation[1];
+    } else if (method === 'unlink' || method === 'rename') {
+      delete symlinks[relativePaths[0].toLowerCase()];
+    }
+  }
+}
+
+function firstSymlinkAncestor(symlinks, relativePath) {
+  var ancestors = ancestorsOf(relativePath.toLowerCase());
+
+  for (var i = 0; i < ancestors.length; i++) {
+    if (symlinks[ancestors[i]] !== undefined) {
+      return symlinks[ancestors[i]];
+    }
+  }
+
+  return undefined;
+}
+
+// Returns the error to throw if `delegate` cannot apply `method`, otherwise
+// `null`.
+function delegateMethodError(delegate, method) {
+  var delegateType = typeof delegate[method];
+
+  if (delegateType === 'function') {
+    return null;
+  }
+
+  return new Error('Unable to apply patch operation: ' + method + '. The value of delegate.' + method + ' is of type ' + delegateType + ', and not a function. Check the `delegate` argument to `FSTree.prototype.applyPatch`.');
+}
+
+function sortAndExpand(entries, comparator) {
+  comparator = comparator || DEFAULT_COMPARATOR;
+  // the default comparison compares paths character by character
+  var key = comparator.isDefault ? undefined : comparator.key;
+
+  entries.sort(comparator.isDefault ? compareByRelativePath : comparator.compareEntries);
 
   var path = '';
 
@@ -82,7 +498,7 @@ function sortAndExpand(entries) {
     //    path = a/b/c/d/
     //    entry = a/b/q/r/s/
     //    path' = a/b/
-    path = commonPrefix(path, entry.relativePath, '/');
+    path = commonPrefix(path, entry.relativePath, '/', key);
 
     // a/b/ -> a/
     // a/b  -> a/
@@ -114,8 +530,28 @@ function sortAndExpand(entries) {
 }
 
 module.exports = {
+  PathComparator: PathComparator,
+  createPathComparator: createPathComparator,
   validateSortedUnique: validateSortedUnique,
+  validateEntryPaths: validateEntryPaths,
+  validateRelativePath: validateRelativePath,
+  validateOperationPaths: validateOperationPaths,
+  validatePatch: validatePatch,
   sortAndExpand: sortAndExpand,
+  compareByRelativePath: compareByRelativePath,
+  computeImpliedEntries: computeImpliedEntries,
+  withRelativePath: withRelativePath,
+  toDirectoryPath: toDirectoryPath,
+  stripTrailingSlash: stripTrailingSlash,
+  parentOf: parentOf,
+  nameOf: nameOf,
+  ancestorsOf: ancestorsOf,
+  pad: pad,
+  toBuffer: toBuffer,
+  createMatcher: createMatcher,
+  resolveOperation: resolveOperation,
+  fileSystemsOf: fileSystemsOf,
+  delegateMethodError: delegateMethodError,
 
   // exported for testing
   _commonPrefix: commonPrefix,
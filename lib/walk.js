@@ -0,0 +1,250 @@
+'use strict';
+
+var fs = require('fs');
+var RSVP = require('rsvp');
+var Entry = require('./entry');
+var util = require('./util');
+
+var Promise = RSVP.Promise;
+var readdir = RSVP.denodeify(fs.readdir);
+var stat = RSVP.denodeify(fs.stat);
+var lstat = RSVP.denodeify(fs.lstat);
+var readlink = RSVP.denodeify(fs.readlink);
+var compareByRelativePath = util.compareByRelativePath;
+var createMatcher = util.createMatcher;
+
+module.exports = {
+  walkSync: walkSync,
+  walk: walk,
+  walkPathSync: walkPathSync,
+};
+
+// Walks `root`, returning the entries beneath it sorted by relativePath (the
+// order `validateSortedUnique` expects) and including every intermediate
+// directory of a selected entry.
+//
+// options:
+//   - include: glob(s) a file must match to be selected
+//   - exclude: glob(s) of files and directories to skip; excluded directories
+//     are not descended into
+//   - maxDepth: how many levels below `root` to descend; `1` selects only the
+//     direct children of `root`
+//   - followSymlinks: unless `false`, symlinks are walked as the files and
+//     directories they point to; otherwise they become symlink entries.  A
+//     symlink to a directory which is being walked (such as `a/loop -> ..`) is
+//     skipped, rather than walked forever.
+function walkSync(root, options) {
+  var state = walkState(root, options);
+  var entries = [];
+
+  visitSync(state, '', 1, entries, [directoryId(fs.statSync(root))]);
+
+  return entries.sort(compareByRelativePath);
+}
+
+// Returns the entries for `relativePath` (a path beneath `root`, without a
+// trailing slash) and, if it is a directory, for everything beneath it, as
+// `walkSync` would select them.  Returns `[]` if nothing is selected, including
+// when `relativePath` does not exist.
+function walkPathSync(root, relativePath, options) {
+  var state = walkState(root, options);
+  var depth = relativePath.split('/').length;
+
+  if (depth > state.maxDepth) {
+    return [];
+  }
+
+  var fullPath = state.root + '/' + relativePath;
+  var stats = statSync(fullPath, state.followSymlinks ? fs.statSync : fs.lstatSync);
+  var entry = stats && toEntry(state, relativePath, stats,
+                               stats.isSymbolicLink() ? fs.readlinkSync(fullPath) : undefined);
+  var ancestors = [''].concat(util.ancestorsOf(relativePath)).map(function(dirPath) {
+    var dirStats = statSync(state.root + '/' + dirPath, fs.statSync);
+
+    return dirStats && directoryId(dirStats);
+  });
+
+  if (!entry || isAncestor(ancestors, stats)) {
+    return [];
+  }
+
+  var entries = [entry];
+
+  if (entry.isDirectory() &&
+      !visitSync(state, entry.relativePath, depth + 1, entries, ancestors.concat(directoryId(stats))) &&
+      !state.matcher.isIncluded(relativePath)) {
+    return [];
+  }
+
+  return entries.sort(compareByRelativePath);
+}
+
+function walk(root, options) {
+  var state;
+
+  try {
+    state = walkState(root, options);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  return stat(root).then(function(stats) {
+    return visit(state, '', 1, [directoryId(stats)]);
+  }).then(function(entries) {
+    return entries.sort(compareByRelativePath);
+  });
+}
+
+function walkState(root, options) {
+  options = options || {};
+
+  var maxDepth = options.maxDepth == null ? Infinity : options.maxDepth;
+
+  if (typeof maxDepth !== 'number' || maxDepth < 0) {
+    throw new TypeError('Expected `maxDepth` to be a non-negative number but was `' + maxDepth + '` instead.');
+  }
+
+  return {
+    root: root,
+    maxDepth: maxDepth,
+    matcher: createMatcher(options.include, options.exclude),
+    followSymlinks: options.followSymlinks !== false,
+  };
+}
+
+// `ancestors` are the ids of the directories from `root` to `relativeDir`.
+// Returns true iff any entries were selected.
+function visitSync(state, relativeDir, depth, entries, ancestors) {
+  if (depth > state.maxDepth) {
+    return false;
+  }
+
+  var names = fs.readdirSync(state.root + '/' + relativeDir);
+  var selected = false;
+
+  for (var i = 0; i < names.length; i++) {
+    var relativePath = relativeDir + names[i];
+    var fullPath = state.root + '/' + relativePath;
+    var stats = statSync(fullPath, state.followSymlinks ? fs.statSync : fs.lstatSync);
+    var entry = stats && toEntry(state, relativePath, stats,
+                                 stats.isSymbolicLink() ? fs.readlinkSync(fullPath) : undefined);
+
+    if (!entry || isAncestor(ancestors, stats)) {
+      continue;
+    }
+
+    entries.push(entry);
+
+    if (entry.isDirectory() &&
+        !visitSync(state, entry.relativePath, depth + 1, entries, ancestors.concat(directoryId(stats))) &&
+        !state.matcher.isIncluded(relativePath)) {
+      // nothing beneath this directory was selected, so the directory is only
+      // kept if it was selected in its own right
+      entries.pop();
+      continue;
+    }
+
+    selected = true;
+  }
+
+  return selected;
+}
+
+function visit(state, relativeDir, depth, ancestors) {
+  if (depth > state.maxDepth) {
+    return Promise.resolve([]);
+  }
+
+  return readdir(state.root + '/' + relativeDir).then(function(names) {
+    return Promise.all(names.map(function(name) {
+      var relativePath = relativeDir + name;
+      var fullPath = state.root + '/' + relativePath;
+
+      var stats;
+
+      return (state.followSymlinks ? stat : lstat)(fullPath).catch(ignoreMissing).then(function(result) {
+        stats = result;
+
+        if (stats && stats.isSymbolicLink()) {
+          return readlink(fullPath).then(function(linkTarget) {
+            return toEntry(state, relativePath, stats, linkTarget);
+          });
+        }
+
+        return stats && toEntry(state, relativePath, stats);
+      }).then(function(entry) {
+        if (!entry || isAncestor(ancestors, stats)) {
+          return [];
+        }
+
+        if (!entry.isDirectory()) {
+          return [entry];
+        }
+
+        return visit(state, entry.relativePath, depth + 1, ancestors.concat(directoryId(stats))).then(function(children) {
+          if (children.length === 0 && !state.matcher.isIncluded(relativePath)) {
+            return [];
+          }
+
+          return [entry].concat(children);
+        });
+      });
+    }));
+  }).then(function(results) {
+    return [].concat.apply([], results);
+  });
+}
+
+// Returns the entry for `relativePath`, or `null` if it was filtered out.
+// Directories are only filtered by `exclude` here, as whether they are kept
+// also depends upon their descendants.
+function toEntry(state, relativePath, stats, linkTarget) {
+  if (state.matcher.isExcluded(relativePath)) {
+    return null;
+  }
+
+  if (stats.isDirectory()) {
+    return Entry.fromStat(relativePath + '/', stats);
+  }
+
+  if (!state.matcher.isIncluded(relativePath)) {
+    return null;
+  }
+
+  if (stats.isSymbolicLink()) {
+    return Entry.fromLstat(relativePath, stats, linkTarget);
+  }
+
+  return Entry.fromStat(relativePath, stats);
+}
+
+// identifies a directory by its device and inode, or is `null` where the
+// platform has no inode numbers
+function directoryId(stats) {
+  return stats.ino ? stats.dev + ':' + stats.ino : null;
+}
+
+// true iff `stats` are of one of the directories `ancestors` identifies, as
+// reached through a symlink back up the tree
+function isAncestor(ancestors, stats) {
+  var id = stats.isDirectory() ? directoryId(stats) : null;
+
+  return id !== null && ancestors.indexOf(id) !== -1;
+}
+
+function statSync(fullPath, stat) {
+  try {
+    return stat(fullPath);
+  } catch (e) {
+    return ignoreMissing(e);
+  }
+}
+
+// broken symlinks and entries removed mid-walk are skipped
+function ignoreMissing(e) {
+  if (e.code === 'ENOENT') {
+    return null;
+  }
+
+  throw e;
+}
@@ -0,0 +1,290 @@
+'use strict';
+
+var fs = require('fs');
+var EventEmitter = require('events').EventEmitter;
+var inherits = require('util').inherits;
+var Entry = require('./entry');
+var util = require('./util');
+var walk = require('./walk');
+
+var DEFAULT_DEBOUNCE = 100;
+
+module.exports = Watcher;
+
+// Maintains a live tree of `root`, emitting:
+//
+//   - `patch` (patch, tree, previousTree): after the tree changed, with the
+//     result of `previousTree.calculatePatch(tree)`
+//   - `error` (error): when watching or re-reading `root`, or calculating the
+//     patch, failed
+//
+// Each directory which is not excluded is watched with `fs.watch`, including
+// those the tree lacks as they contain no `include`d files.  Notifications are
+// debounced, and only the paths they name are re-read: re-stated, or re-walked
+// if they are (or were) directories.
+//
+// options: those of `FSTree.fromFileSystem`, and
+//   - debounce: how many ms to wait for further notifications before updating
+//     the tree; defaults to 100
+//   - isEqual, detectRenames: passed to `calculatePatch`
+function Watcher(root, options) {
+  EventEmitter.call(this);
+
+  if (typeof options !== 'object' || options === null) { options = {}; }
+
+  if (typeof root !== 'string') {
+    throw new TypeError('Expected `root` to be of type `string` but was of type `' + typeof root + '` instead.');
+  }
+
+  this.root = root;
+  this.options = options;
+  this.debounce = options.debounce == null ? DEFAULT_DEBOUNCE : options.debounce;
+  this.tree = getFSTree().fromFileSystem(root, options);
+  this.closed = false;
+
+  this._dirty = Object.create(null);
+  this._timeout = null;
+  // relative directory path ('' for `root`) -> fs.FSWatcher
+  this._watchers = Object.create(null);
+
+  this._syncWatchers(this.tree, ['']);
+}
+
+inherits(Watcher, EventEmitter);
+
+// Stops watching.  No further events are emitted.
+Watcher.prototype.close = function() {
+  this.closed = true;
+
+  clearTimeout(this._timeout);
+  this._timeout = null;
+
+  Object.keys(this._watchers).forEach(this._unwatch, this);
+};
+
+// Re-reads the paths notified since the last update, and emits `patch` if the
+// tree changed.  Called once notifications have been debounced.
+Watcher.prototype.flush = function() {
+  clearTimeout(this._timeout);
+  this._timeout = null;
+
+  var dirty = Object.keys(this._dirty);
+
+  if (this.closed || dirty.length === 0) {
+    return;
+  }
+
+  this._dirty = Object.create(null);
+
+  var previousTree = this.tree;
+  var tree, patch;
+
+  // as this runs from a timer, errors (including those of `isEqual`) are
+  // emitted rather than thrown
+  try {
+    tree = this._update(previousTree, dirty);
+    patch = previousTree.calculatePatch(tree, this.options.isEqual, {
+      detectRenames: this.options.detectRenames,
+    });
+    this._syncWatchers(tree, dirty);
+  } catch (e) {
+    // re-read these paths along with the next notification
+    dirty.forEach(function(relativePath) {
+      this._dirty[relativePath] = true;
+    }, this);
+
+    this.emit('error', e);
+    return;
+  }
+
+  this.tree = tree;
+
+  if (patch.length > 0) {
+    this.emit('patch', patch, tree, previousTree);
+  }
+};
+
+Watcher.prototype._invalidate = function(relativePath) {
+  this._dirty[relativePath] = true;
+
+  clearTimeout(this._timeout);
+  this._timeout = setTimeout(this.flush.bind(this), this.debounce);
+};
+
+// Returns a copy of `previousTree`, with the entries at or beneath the `dirty`
+// paths replaced by their current state on disk.  The copy is changed through
+// its own methods, so keeps `previousTree`'s directory digests of other paths.
+Watcher.prototype._update = function(previousTree, dirty) {
+  var root = this.root;
+  var tree = previousTree._copy();
+  var key = tree.comparator.key;
+  // path key -> the entry to add there
+  var added = Object.create(null);
+
+  function add(entry) {
+    added[key(entry.relativePath)] = entry;
+  }
+
+  tree.removeEntries(previousTree.entries.filter(function(entry) {
+    return isAtOrBeneathAny(entry.relativePath, dirty);
+  }), { recursive: true });
+
+  walkPaths(root, dirty, this.options).forEach(function(entry) {
+    add(entry);
+
+    // restores directories implied by, but missing from, the tree
+    util.ancestorsOf(entry.relativePath).forEach(function(dirPath) {
+      dirPath += '/';
+
+      if (added[key(dirPath)] === undefined && tree.get(dirPath) === undefined) {
+        add(new Entry(dirPath, 0, 0));
+      }
+    });
+  });
+
+  // the directories containing dirty paths have changed too, though only
+  // their stats need re-reading
+  dirty.forEach(function(relativePath) {
+    var parentPath = relativePath.slice(0, relativePath.lastIndexOf('/') + 1);
+    var parent = parentPath === '' ? undefined : tree.get(parentPath);
+
+    if (parent !== undefined && added[key(parentPath)] === undefined) {
+      add(restat(root, parent));
+    }
+  });
+
+  tree.addEntries(Object.keys(added).map(function(pathKey) {
+    return added[pathKey];
+  }).sort(tree.comparator.compareEntries));
+
+  return tree;
+};
+
+// Watches the directories at or beneath the `dirty` paths, and stops watching
+// those which are no longer there.  Without `include` globs these are the
+// directories of `tree`; otherwise they are walked for, as directories
+// containing no included files are not in the tree, but files created in them
+// may be.
+Watcher.prototype._syncWatchers = function(tree, dirty) {
+  var directories = Object.create(null);
+  var entries;
+
+  if (this.options.include == null) {
+    entries = tree.entries.filter(function(entry) {
+      return isAtOrBeneathAny(entry.relativePath, dirty);
+    });
+  } else {
+    entries = walkPaths(this.root, dirty, {
+      exclude: this.options.exclude,
+      maxDepth: this.options.maxDepth,
+      followSymlinks: this.options.followSymlinks,
+    });
+  }
+
+  if (dirty.indexOf('') !== -1) {
+    directories[''] = true;
+  }
+
+  entries.forEach(function(entry) {
+    if (entry.isDirectory()) {
+      directories[entry.relativePath.slice(0, -1)] = true;
+    }
+  });
+
+  Object.keys(this._watchers).forEach(function(relativeDir) {
+    if (!directories[relativeDir] && isAtOrBeneathAny(relativeDir, dirty)) {
+      this._unwatch(relativeDir);
+    }
+  }, this);
+
+  Object.keys(directories).forEach(function(relativeDir) {
+    if (!this._watchers[relativeDir]) {
+      this._watch(relativeDir);
+    }
+  }, this);
+};
+
+Watcher.prototype._watch = function(relativeDir) {
+  var watcher = this;
+  var fsWatcher;
+
+  try {
+    fsWatcher = fs.watch(relativeDir === '' ? this.root : this.root + '/' + relativeDir, function(event, name) {
+      if (name) {
+        watcher._invalidate(relativeDir === '' ? String(name) : relativeDir + '/' + name);
+      } else {
+        // the changed path is not known on all platforms
+        watcher._invalidate(relativeDir);
+      }
+    });
+  } catch (e) {
+    // removed since the tree was read; the removal is notified to its parent
+    if (e.code === 'ENOENT') {
+      return;
+    }
+
+    throw e;
+  }
+
+  fsWatcher.on('error', function(error) {
+    watcher.emit('error', error);
+  });
+
+  this._watchers[relativeDir] = fsWatcher;
+};
+
+Watcher.prototype._unwatch = function(relativeDir) {
+  this._watchers[relativeDir].close();
+  delete this._watchers[relativeDir];
+};
+
+function restat(root, entry) {
+  try {
+    return Entry.fromStat(entry.relativePath, fs.statSync(root + '/' + entry.relativePath));
+  } catch (e) {
+    // removed since being notified; its removal is notified to its parent
+    return entry;
+  }
+}
+
+// Returns the entries at or beneath the `dirty` paths, as `walkSync` would
+// select them.
+function walkPaths(root, dirty, options) {
+  var entries = [];
+
+  dirty.forEach(function(relativePath) {
+    // paths beneath other dirty paths are walked along with them
+    var isCovered = dirty.some(function(other) {
+      return other !== relativePath && isAtOrBeneath(relativePath, other);
+    });
+
+    if (isCovered) {
+      return;
+    }
+
+    entries = entries.concat(relativePath === '' ?
+      walk.walkSync(root, options) : walk.walkPathSync(root, relativePath, options));
+  });
+
+  return entries;
+}
+
+// required lazily, as `FSTree` requires this module
+function getFSTree() {
+  return require('./index');
+}
+
+// 'a/b' is at or beneath 'a' and '' (the root); 'a/' is at 'a'
+function isAtOrBeneath(relativePath, dirtyPath) {
+  if (dirtyPath === '') {
+    return true;
+  }
+
+  return relativePath === dirtyPath || relativePath.slice(0, dirtyPath.length + 1) === dirtyPath + '/';
+}
+
+function isAtOrBeneathAny(relativePath, dirtyPaths) {
+  return dirtyPaths.some(function(dirtyPath) {
+    return isAtOrBeneath(relativePath, dirtyPath);
+  });
+}
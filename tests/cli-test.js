@@ -0,0 +1,190 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var run = require('../lib/cli');
+
+require('chai').config.truncateThreshold = 0;
+
+describe('fs-tree-diff command', function() {
+  var src = 'tmp/fixture/src';
+  var dest = 'tmp/fixture/dest';
+  var io;
+
+  function output() {
+    var written = '';
+
+    return {
+      write: function(chunk) { written += chunk; },
+      toString: function() { return written; },
+    };
+  }
+
+  beforeEach(function() {
+    io = { stdout: output(), stderr: output() };
+
+    fs.outputFileSync(src + '/a.js', 'a');
+    fs.outputFileSync(src + '/lib/b.js', 'b');
+    fs.outputFileSync(src + '/node_modules/c.js', 'c');
+  });
+
+  afterEach(function() {
+    fs.removeSync('tmp');
+  });
+
+  describe('diff', function() {
+    beforeEach(function() {
+      fs.outputFileSync(dest + '/old.js', 'old');
+    });
+
+    it('prints the operations, and exits 1 when the directories differ', function() {
+      expect(run(['diff', dest, src, '--exclude', 'node_modules'], io)).to.equal(1);
+      expect(String(io.stdout)).to.equal([
+        'unlink  old.js',
+        'create  a.js',
+        'mkdir   lib/',
+        'create  lib/b.js',
+        '',
+      ].join('\n'));
+    });
+
+    it('exits 0 when the directories are the same', function() {
+      expect(run(['diff', src, src], io)).to.equal(0);
+      expect(String(io.stdout)).to.equal('');
+    });
+
+    it('prints the patch as JSON', function() {
+      expect(run(['diff', dest, src, '--format=json', '--exclude', 'lib', '--exclude', 'node_modules'], io)).to.equal(1);
+
+      var patch = JSON.parse(String(io.stdout));
+
+      expect(patch.operations.map(function(operation) {
+        return operation.slice(0, 2);
+      })).to.deep.equal([
+        ['unlink', 'old.js'],
+        ['create', 'a.js'],
+      ]);
+    });
+
+    it('compares contents with --checksum', function() {
+      fs.outputFileSync(dest + '/a.js', 'a');
+      fs.utimesSync(dest + '/a.js', new Date(1000), new Date(1000));
+      fs.removeSync(dest + '/old.js');
+
+      expect(run(['diff', dest, src, '--exclude', 'lib', '--exclude', 'node_modules'], io)).to.equal(1);
+      expect(String(io.stdout)).to.equal('change  a.js\n');
+
+      io.stdout = output();
+
+      expect(run(['diff', dest, src, '--checksum', '--exclude', 'lib', '--exclude', 'node_modules'], io)).to.equal(0);
+      expect(String(io.stdout)).to.equal('');
+    });
+  });
+
+  describe('sync', function() {
+    it('copies the source to the destination', function() {
+      expect(run(['sync', src, dest, '--exclude', 'node_modules'], io)).to.equal(0);
+
+      expect(fs.readFileSync(dest + '/a.js', 'utf8')).to.equal('a');
+      expect(fs.readFileSync(dest + '/lib/b.js', 'utf8')).to.equal('b');
+      expect(fs.lstatSync(dest + '/a.js').isSymbolicLink()).to.equal(false);
+      expect(fs.existsSync(dest + '/node_modules')).to.equal(false);
+
+      // copies keep their mtimes, so are not copied again
+      io.stdout = output();
+
+      expect(run(['sync', src, dest, '--exclude', 'node_modules'], io)).to.equal(0);
+      expect(String(io.stdout)).to.equal('');
+    });
+
+    it('updates read-only copies', function() {
+      // 0444
+      fs.chmodSync(src + '/a.js', 292);
+
+      expect(run(['sync', src, dest], io)).to.equal(0);
+      expect(fs.statSync(dest + '/a.js').mode & 511).to.equal(292);
+
+      fs.chmodSync(src + '/a.js', 420);
+      fs.writeFileSync(src + '/a.js', 'changed');
+      fs.chmodSync(src + '/a.js', 292);
+      fs.utimesSync(src + '/a.js', new Date(1000), new Date(1000));
+
+      expect(run(['sync', src, dest], io)).to.equal(0);
+      expect(fs.readFileSync(dest + '/a.js', 'utf8')).to.equal('changed');
+      expect(fs.statSync(dest + '/a.js').mode & 511).to.equal(292);
+    });
+
+    it('replaces symlinks in the destination rather than following them', function() {
+      fs.outputFileSync('tmp/fixture/important/precious.txt', 'precious');
+      fs.mkdirpSync(dest);
+      fs.symlinkSync('../important', dest + '/link');
+      fs.symlinkSync('../important/precious.txt', dest + '/a.js');
+
+      expect(run(['sync', src, dest], io)).to.equal(0);
+      expect(String(io.stderr)).to.equal('');
+
+      expect(fs.readdirSync('tmp/fixture/important')).to.deep.equal(['precious.txt']);
+      expect(fs.readFileSync('tmp/fixture/important/precious.txt', 'utf8')).to.equal('precious');
+      expect(fs.readdirSync(dest).sort()).to.deep.equal(['a.js', 'lib', 'node_modules']);
+      expect(fs.lstatSync(dest + '/a.js').isSymbolicLink()).to.equal(false);
+      expect(fs.readFileSync(dest + '/a.js', 'utf8')).to.equal('a');
+    });
+
+    it('creates the destination and its missing parents', function() {
+      expect(run(['sync', src, 'tmp/fixture/new/dest'], io)).to.equal(0);
+      expect(fs.readFileSync('tmp/fixture/new/dest/a.js', 'utf8')).to.equal('a');
+    });
+
+    it('removes what is not in the source', function() {
+      fs.outputFileSync(dest + '/old/old.js', 'old');
+
+      expect(run(['sync', src, dest], io)).to.equal(0);
+      expect(fs.existsSync(dest + '/old')).to.equal(false);
+    });
+
+    it('prints what it would do with --dry-run', function() {
+      expect(run(['sync', src, dest, '--dry-run', '--exclude', 'node_modules'], io)).to.equal(0);
+
+      expect(String(io.stdout)).to.equal([
+        'create  a.js',
+        'mkdir   lib/',
+        'create  lib/b.js',
+        '',
+      ].join('\n'));
+      expect(String(io.stderr)).to.equal('');
+      expect(fs.existsSync(dest)).to.equal(false);
+    });
+  });
+
+  describe('errors', function() {
+    it('prints usage, and exits 2, on invalid arguments', function() {
+      expect(run(['frob', src, dest], io)).to.equal(2);
+      expect(String(io.stderr)).to.contain('fs-tree-diff: unknown command `frob`\n\nUsage: fs-tree-diff diff <old> <new> [options]');
+
+      io.stderr = output();
+
+      expect(run(['diff', src], io)).to.equal(2);
+      expect(String(io.stderr)).to.contain('fs-tree-diff: `diff` expects two directories, but was given 1');
+
+      io.stderr = output();
+
+      expect(run(['diff', src, dest, '--format', 'yaml'], io)).to.equal(2);
+      expect(String(io.stderr)).to.contain('fs-tree-diff: expected `--format` to be one of `text`, `json` but was `yaml`');
+
+      io.stderr = output();
+
+      expect(run(['diff', src, dest, '--dry-run'], io)).to.equal(2);
+      expect(String(io.stderr)).to.contain('fs-tree-diff: `--dry-run` only applies to `sync`');
+    });
+
+    it('exits 2 when a directory cannot be read', function() {
+      expect(run(['diff', src, 'tmp/missing'], io)).to.equal(2);
+      expect(String(io.stderr)).to.contain('fs-tree-diff: ENOENT');
+    });
+
+    it('prints usage with --help', function() {
+      expect(run(['--help'], io)).to.equal(0);
+      expect(String(io.stdout)).to.contain('Usage: fs-tree-diff diff <old> <new> [options]');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var unifiedDiff = require('../lib/content-diff').unifiedDiff;
+var toBuffer = require('../lib/util').toBuffer;
+
+require('chai').config.truncateThreshold = 0;
+
+describe('content diffs', function() {
+  var oldRoot = 'tmp/fixture/old';
+  var newRoot = 'tmp/fixture/new';
+
+  afterEach(function() {
+    fs.removeSync('tmp');
+  });
+
+  function lines(count) {
+    var result = [];
+
+    for (var i = 1; i <= count; i++) {
+      result.push(String(i));
+    }
+
+    return result;
+  }
+
+  describe('FSTree.diffPatchContents', function() {
+    it('diffs the files a patch creates, changes and unlinks', function() {
+      fs.outputFileSync(oldRoot + '/changed.js', 'a\nb\nc\n');
+      fs.outputFileSync(oldRoot + '/removed.js', 'gone\n');
+      fs.outputFileSync(oldRoot + '/same.js', 'same\n');
+      fs.outputFileSync(newRoot + '/changed.js', 'a\nB\nc\n');
+      fs.outputFileSync(newRoot + '/dir/added.js', 'new\n');
+      fs.outputFileSync(newRoot + '/same.js', 'same\n');
+
+      var patch = FSTree.fromFileSystem(oldRoot).calculatePatch(FSTree.fromFileSystem(newRoot), function(a, b) {
+        return a.isDirectory() === b.isDirectory() && a.relativePath !== 'changed.js';
+      });
+
+      expect(FSTree.diffPatchContents(patch, oldRoot, newRoot)).to.equal([
+        '--- a/removed.js',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-gone',
+        '--- a/changed.js',
+        '+++ b/changed.js',
+        '@@ -1,3 +1,3 @@',
+        ' a',
+        '-b',
+        '+B',
+        ' c',
+        '--- /dev/null',
+        '+++ b/dir/added.js',
+        '@@ -0,0 +1 @@',
+        '+new',
+      ].join('\n'));
+    });
+
+    it('skips changed files whose contents are the same', function() {
+      fs.outputFileSync(oldRoot + '/a.js', 'a\n');
+      fs.outputFileSync(newRoot + '/a.js', 'a\n');
+
+      var patch = [['change', 'a.js', FSTree.fromFileSystem(newRoot).get('a.js')]];
+
+      expect(FSTree.diffPatchContents(patch, oldRoot, newRoot)).to.equal('');
+    });
+
+    it('notes binary files rather than diffing them', function() {
+      fs.outputFileSync(oldRoot + '/image.png', toBuffer([0x89, 0x50, 0x00, 0x01]));
+      fs.outputFileSync(newRoot + '/image.png', toBuffer([0x89, 0x50, 0x00, 0x02]));
+
+      var patch = [['change', 'image.png', FSTree.fromFileSystem(newRoot).get('image.png')]];
+
+      expect(FSTree.diffPatchContents(patch, oldRoot, newRoot)).to.equal('Binary files a/image.png and b/image.png differ');
+    });
+
+    it('throws on unsafe paths', function() {
+      expect(function() {
+        FSTree.diffPatchContents([['unlink', '../a.js']], oldRoot, newRoot);
+      }).to.throw('Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+    });
+  });
+
+  describe('unifiedDiff', function() {
+    it('groups changes into hunks with context', function() {
+      var before = lines(15).join('\n') + '\n';
+      var after = lines(15);
+
+      after[2] = 'x';
+      after[13] = 'y';
+
+      expect(unifiedDiff('a.txt', before, after.join('\n') + '\n')).to.equal([
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1,6 +1,6 @@',
+        ' 1',
+        ' 2',
+        '-3',
+        '+x',
+        ' 4',
+        ' 5',
+        ' 6',
+        '@@ -11,5 +11,5 @@',
+        ' 11',
+        ' 12',
+        ' 13',
+        '-14',
+        '+y',
+        ' 15',
+      ].join('\n'));
+    });
+
+    it('merges hunks whose context overlaps', function() {
+      var after = lines(8);
+
+      after[1] = 'x';
+      after[6] = 'y';
+
+      expect(unifiedDiff('a.txt', lines(8).join('\n'), after.join('\n'), { context: 2 }).split('\n').slice(2, 3)).to.deep.equal([
+        '@@ -1,8 +1,8 @@',
+      ]);
+    });
+
+    it('skips binary contents which are the same', function() {
+      expect(unifiedDiff('a.png', toBuffer([0x89, 0x00]), toBuffer([0x89, 0x00]))).to.equal('');
+      expect(unifiedDiff('a.png', '\u0000a', toBuffer([0x00, 0x61]))).to.equal('');
+    });
+
+    it('marks lines without a trailing newline', function() {
+      expect(unifiedDiff('a.txt', 'a\n', 'a')).to.equal([
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -1 +1 @@',
+        '-a',
+        '+a',
+        '\\ No newline at end of file',
+      ].join('\n'));
+    });
+  });
+});
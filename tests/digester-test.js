@@ -0,0 +1,134 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var Entry = require('../lib/entry');
+var Digester = require('../lib/digester');
+
+var ROOT = 'tmp/fixture/root';
+
+require('chai').config.truncateThreshold = 0;
+
+describe('Digester', function() {
+  var digester;
+
+  beforeEach(function() {
+    fs.outputFileSync(ROOT + '/a.js', 'abc');
+    digester = new Digester({ root: ROOT });
+  });
+
+  afterEach(function() {
+    fs.removeSync('tmp');
+  });
+
+  describe('constructor', function() {
+    it('requires a root', function() {
+      expect(function() {
+        return new Digester();
+      }).to.throw(TypeError, 'Expected `root` to be of type `string` but was of type `undefined` instead.');
+    });
+
+    it('throws on unsupported algorithms', function() {
+      expect(function() {
+        return new Digester({ root: ROOT, algorithm: 'not-a-hash' });
+      }).to.throw();
+    });
+
+    it('is exported as FSTree.Digester', function() {
+      expect(FSTree.Digester).to.equal(Digester);
+    });
+  });
+
+  describe('#digest', function() {
+    it('computes and stores the digest of an entry', function() {
+      var entry = new Entry('a.js', 3, 1, 0);
+
+      expect(digester.digest(entry)).to.equal('a9993e364706816aba3e25717850c26c9cd0d89d');
+      expect(entry.digest).to.equal('a9993e364706816aba3e25717850c26c9cd0d89d');
+    });
+
+    it('supports other algorithms', function() {
+      digester = new Digester({ root: ROOT, algorithm: 'md5' });
+
+      expect(digester.digest(new Entry('a.js', 3, 1, 0))).to.equal('900150983cd24fb0d6963f7d28e17f72');
+    });
+
+    it('does not rehash entries with an existing digest', function() {
+      var entry = new Entry('a.js', 3, 1, 0);
+      entry.digest = 'precomputed';
+
+      expect(digester.digest(entry)).to.equal('precomputed');
+    });
+
+    it('reuses cached digests for entries with unchanged stats', function() {
+      digester.digest(new Entry('a.js', 3, 1, 0));
+      fs.outputFileSync(ROOT + '/a.js', 'xyz');
+
+      expect(digester.digest(new Entry('a.js', 3, 1, 0))).to.equal('a9993e364706816aba3e25717850c26c9cd0d89d');
+      expect(digester.digest(new Entry('a.js', 3, 2, 0))).to.equal('66b27417d37e024c46526c2f6d358a754fc552f3');
+    });
+
+    it('rehashes files which may have changed within the mtime resolution', function() {
+      var mtime = Date.now();
+
+      digester.digest(new Entry('a.js', 3, mtime, 0));
+      fs.outputFileSync(ROOT + '/a.js', 'xyz');
+
+      expect(digester.digest(new Entry('a.js', 3, mtime, 0))).to.equal('66b27417d37e024c46526c2f6d358a754fc552f3');
+    });
+  });
+
+  describe('#isEqual', function() {
+    it('treats directories as equal', function() {
+      expect(digester.isEqual(new Entry('a/'), new Entry('a/'))).to.equal(true);
+    });
+
+    it('treats files with different sizes or modes as different without hashing', function() {
+      var b = new Entry('a.js', 3, 1, 0);
+
+      expect(digester.isEqual(new Entry('a.js', 4, 1, 0), b)).to.equal(false);
+      expect(digester.isEqual(new Entry('a.js', 3, 1, 420), b)).to.equal(false);
+      expect(b.digest).to.equal(undefined);
+    });
+
+    it('treats touched but identical files as equal', function() {
+      var before = new Entry('a.js', 3, 1, 0);
+      digester.digest(before);
+
+      expect(digester.isEqual(before, new Entry('a.js', 3, 2, 0))).to.equal(true);
+    });
+
+    it('detects rewrites which leave size and mtime unchanged', function() {
+      var mtime = Date.now();
+      var before = new Entry('a.js', 3, mtime, 0);
+      digester.digest(before);
+
+      fs.outputFileSync(ROOT + '/a.js', 'xyz');
+
+      expect(digester.isEqual(before, new Entry('a.js', 3, mtime, 0))).to.equal(false);
+    });
+
+    it('falls back to comparing mtimes for entries never hashed, hashing the new entry', function() {
+      var after = new Entry('a.js', 3, 2, 0);
+
+      expect(digester.isEqual(new Entry('a.js', 3, 1, 0), after)).to.equal(false);
+      expect(after.digest).to.equal('a9993e364706816aba3e25717850c26c9cd0d89d');
+    });
+
+    it('can be passed to calculatePatch', function() {
+      var current = FSTree.fromFileSystem(ROOT);
+      current.forEach(function(entry) {
+        digester.digest(entry);
+      });
+
+      fs.outputFileSync(ROOT + '/a.js', 'abc');
+      fs.utimesSync(ROOT + '/a.js', new Date(2000, 0, 1), new Date(2000, 0, 1));
+
+      var next = FSTree.fromFileSystem(ROOT);
+
+      expect(current.calculatePatch(next)).to.have.length(1);
+      expect(current.calculatePatch(next, digester.isEqual)).to.deep.equal([]);
+    });
+  });
+});
@@ -14,8 +14,8 @@ describe('Entry', function() {
     var mtime = Date.now();
 
     it('supports omitting mode for files', function() {
-      var entry = new Entry('/foo.js', size, mtime);
-      expect(entry.relativePath).to.equal('/foo.js');
+      var entry = new Entry('foo.js', size, mtime);
+      expect(entry.relativePath).to.equal('foo.js');
       expect(entry.size).to.equal(size);
       expect(entry.mtime).to.equal(mtime);
       expect(entry.mode).to.equal(0);
@@ -23,8 +23,8 @@ describe('Entry', function() {
     });
 
     it('supports omitting mode for directories', function() {
-      var entry = new Entry('/foo/', size, mtime);
-      expect(entry.relativePath).to.equal('/foo/');
+      var entry = new Entry('foo/', size, mtime);
+      expect(entry.relativePath).to.equal('foo/');
       expect(entry.size).to.equal(size);
       expect(entry.mtime).to.equal(mtime);
       expect(entry.mode).to.equal(16877);
@@ -32,8 +32,8 @@ describe('Entry', function() {
     });
 
     it('supports including manually defined mode', function() {
-      var entry = new Entry('/foo.js', size, mtime, 1);
-      expect(entry.relativePath).to.equal('/foo.js');
+      var entry = new Entry('foo.js', size, mtime, 1);
+      expect(entry.relativePath).to.equal('foo.js');
       expect(entry.size).to.equal(size);
       expect(entry.mtime).to.equal(mtime);
       expect(entry.mode).to.equal(1);
@@ -42,9 +42,31 @@ describe('Entry', function() {
 
     it('errors on a non-number mode', function() {
       expect(function() {
-        return new Entry('/foo.js', size, mtime, '1');
+        return new Entry('foo.js', size, mtime, '1');
       }).to.throw('Expected `mode` to be of type `number` but was of type `string` instead.')
     });
+
+    it('errors on unsafe paths', function() {
+      [
+        ['', 'paths must not be empty'],
+        ['/abs/path', 'paths must be relative'],
+        ['a\\b', 'paths must use `/` as their separator, and not contain backslashes'],
+        ['a//b', 'paths must not contain empty segments'],
+        ['a/b//', 'paths must not contain empty segments'],
+        ['../etc/passwd', 'paths must not contain `.` or `..` segments'],
+        ['a/./b/', 'paths must not contain `.` or `..` segments'],
+      ].forEach(function(example) {
+        expect(function() {
+          return new Entry(example[0], size, mtime);
+        }).to.throw('Invalid relativePath `' + example[0] + '`: ' + example[1] + '.');
+      });
+    });
+
+    it('errors on a non-string path', function() {
+      expect(function() {
+        return new Entry(null, size, mtime);
+      }).to.throw(TypeError, 'Expected `relativePath` to be of type `string` but was of type `object` instead.');
+    });
   });
 
   describe('.fromStat', function() {
@@ -84,4 +106,47 @@ describe('Entry', function() {
       expect(entry.relativePath).to.equal(path);
     });
   });
+
+  describe('.fromLstat', function() {
+    afterEach(function() {
+      fs.removeSync(FIXTURE_DIR);
+    });
+
+    it('creates a symlink entry recording the link target', function() {
+      var path = FIXTURE_DIR + '/link.js';
+
+      fs.mkdirpSync(FIXTURE_DIR);
+      fs.symlinkSync('index.js', path);
+
+      var entry = Entry.fromLstat(path, fs.lstatSync(path), fs.readlinkSync(path));
+
+      expect(Entry.isSymbolicLink(entry)).to.be.ok;
+      expect(entry.isDirectory()).to.not.be.ok;
+      expect(Entry.isFile(entry)).to.not.be.ok;
+      expect(entry.linkTarget).to.equal('index.js');
+    });
+
+    it('creates a correct entry for a file', function() {
+      var path = FIXTURE_DIR + '/index.js';
+
+      fs.outputFileSync(path, '');
+
+      var entry = Entry.fromLstat(path, fs.lstatSync(path));
+
+      expect(Entry.isSymbolicLink(entry)).to.not.be.ok;
+      expect(Entry.isFile(entry)).to.be.ok;
+      expect(entry).to.not.have.property('linkTarget');
+    });
+
+    it('errors on a missing link target', function() {
+      var path = FIXTURE_DIR + '/link.js';
+
+      fs.mkdirpSync(FIXTURE_DIR);
+      fs.symlinkSync('index.js', path);
+
+      expect(function() {
+        Entry.fromLstat(path, fs.lstatSync(path));
+      }).to.throw(TypeError, 'Expected `linkTarget` of symbolic link `' + path + '` to be of type `string` but was of type `undefined` instead.');
+    });
+  });
 });
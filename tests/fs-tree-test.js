@@ -4,6 +4,7 @@ var fs = require('fs-extra');
 var path = require('path');
 var expect = require('chai').expect;
 var walkSync = require('walk-sync');
+var Promise = require('rsvp').Promise;
 var FSTree = require('../lib/index');
 var Entry = require('../lib/entry');
 var context = describe;
@@ -91,6 +92,125 @@ describe('FSTree', function() {
     };
   }
 
+  // a seeded pseudo-random number generator, so that failures reproduce;
+  // returns an integer in [0, n)
+  function seededRandom(seed) {
+    return function(n) {
+      seed = seed * 16807 % 2147483647;
+      return seed % n;
+    };
+  }
+
+  // a small tree of files which often share an identity, and names which are
+  // files in one tree and directories in another, so that patches between
+  // random trees have renames in every configuration
+  function randomTree(random) {
+    var entries = [];
+
+    (function fill(prefix, depth) {
+      ['a', 'b', 'c'].forEach(function(name) {
+        // 0: nothing, 1: a file, 2: a directory
+        var type = random(depth < 2 ? 3 : 2);
+
+        if (type === 1) {
+          entries.push(file(prefix + name, { size: 1 + random(2), mtime: 1 }));
+        } else if (type === 2) {
+          entries.push(directory(prefix + name + '/'));
+          fill(prefix + name + '/', depth + 1);
+        }
+      });
+    }('', 0));
+
+    return FSTree.fromEntries(entries);
+  }
+
+  // Applies `patch` to a model of the filesystem holding `tree`, failing as a
+  // filesystem would (eg. on a `mkdir` of a path which exists, or an `rmdir`
+  // of a directory which is not empty).  Returns the resulting paths.
+  function replayPatch(tree, patch) {
+    var types = Object.create(null);
+
+    function key(relativePath) {
+      return relativePath.replace(/\/$/, '');
+    }
+
+    function fail(operation, reason) {
+      throw new Error('Unable to replay `' + operation[0] + ' ' + operation[1] + '` in ' +
+        JSON.stringify(patch.map(function(operation) {
+          return operation[0] + ' ' + operation[1] + (operation[3] ? ' <- ' + operation[3].relativePath : '');
+        })) + ': ' + reason);
+    }
+
+    function add(operation, type) {
+      var path = key(operation[1]);
+      var parent = path.slice(0, Math.max(path.lastIndexOf('/'), 0));
+
+      if (path in types) {
+        fail(operation, '`' + path + '` exists');
+      } else if (parent !== '' && types[parent] !== 'directory') {
+        fail(operation, '`' + parent + '` is not a directory');
+      }
+
+      types[path] = type;
+    }
+
+    function remove(operation, relativePath, type) {
+      var path = key(relativePath);
+
+      if (types[path] !== type) {
+        fail(operation, '`' + path + '` is not a ' + type);
+      } else if (Object.keys(types).some(function(other) { return other.indexOf(path + '/') === 0; })) {
+        fail(operation, '`' + path + '` is not empty');
+      }
+
+      delete types[path];
+    }
+
+    tree.forEach(function(entry) {
+      types[key(entry.relativePath)] = entry.isDirectory() ? 'directory' : 'file';
+    });
+
+    patch.forEach(function(operation) {
+      switch (operation[0]) {
+        case 'unlink':
+          remove(operation, operation[1], 'file');
+          break;
+        case 'rmdir':
+          remove(operation, operation[1], 'directory');
+          break;
+        case 'mkdir':
+          add(operation, 'directory');
+          break;
+        case 'create':
+        case 'symlink':
+          add(operation, 'file');
+          break;
+        case 'rename':
+          remove(operation, operation[3].relativePath, 'file');
+          add(operation, 'file');
+          break;
+        case 'change':
+          if (!(key(operation[1]) in types)) {
+            fail(operation, '`' + operation[1] + '` does not exist');
+          }
+          break;
+      }
+    });
+
+    return Object.keys(types).sort();
+  }
+
+  // 'rename a -> b', 'mkdir c/'
+  function describeOperation(operation) {
+    return operation[0] + ' ' + (operation[3] ? operation[3].relativePath + ' -> ' : '') + operation[1];
+  }
+
+  function pathsOf(tree) {
+    return tree.entries.map(function(entry) {
+      return entry.relativePath.replace(/\/$/, '');
+    }).sort();
+  }
+
   it('can be instantiated', function() {
     expect(new FSTree()).to.be.an.instanceOf(FSTree);
   });
@@ -118,6 +238,20 @@ describe('FSTree', function() {
             'a',
           ]);
         }).to.throw('expected entries[0]: `b` to be < entries[1]: `a`, but was not. Ensure your input is sorted and has no duplicate paths');
+            });
+
+      it('throws on unsafe paths', function() {
+        expect(function() {
+          FSTree.fromEntries([
+            file('../a.js'),
+          ]);
+        }).to.throw('Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+
+        expect(function() {
+          FSTree.fromEntries([
+            file('/etc/passwd'),
+          ], { sortAndExpand: true });
+        }).to.throw('Invalid relativePath `/etc/passwd`: paths must be relative.');
       });
     });
 
@@ -248,6 +382,177 @@ describe('FSTree', function() {
     });
   });
 
+  describe('.fromFileSystem', function() {
+    var root = 'tmp/fixture/root';
+
+    beforeEach(function() {
+      fs.outputFileSync(root + '/a.js', 'a');
+      fs.outputFileSync(root + '/a.b/c.js', 'c');
+      fs.outputFileSync(root + '/a/b/d.css', 'd');
+      fs.outputFileSync(root + '/a/e.js', 'e');
+      fs.mkdirpSync(root + '/empty');
+    });
+
+    afterEach(function() {
+      fs.removeSync('tmp');
+    });
+
+    it('creates a sorted tree of entries from disk', function() {
+      fsTree = FSTree.fromFileSystem(root);
+
+      expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+        'a.b/',
+        'a.b/c.js',
+        'a.js',
+        'a/',
+        'a/b/',
+        'a/b/d.css',
+        'a/e.js',
+        'empty/',
+      ]);
+
+      var stat = fs.statSync(root + '/a.js');
+      expect(fsTree.entries[2]).to.deep.equal(Entry.fromStat('a.js', stat));
+      expect(fsTree.entries[3].isDirectory()).to.be.ok;
+    });
+
+    it('produces trees which can be diffed', function() {
+      fsTree = FSTree.fromFileSystem(root);
+
+      fs.removeSync(root + '/a.b');
+      fs.outputFileSync(root + '/f.js', 'f');
+
+      expect(fsTree.calculatePatch(FSTree.fromFileSystem(root)).map(function(operation) {
+        return operation.slice(0, 2);
+      })).to.deep.equal([
+        ['unlink', 'a.b/c.js'],
+        ['rmdir', 'a.b/'],
+        ['create', 'f.js'],
+      ]);
+    });
+
+    it('supports include globs, keeping only directories with included files', function() {
+      fsTree = FSTree.fromFileSystem(root, { include: '**/*.js' });
+
+      expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+        'a.b/',
+        'a.b/c.js',
+        'a.js',
+        'a/',
+        'a/e.js',
+      ]);
+    });
+
+    it('supports exclude globs, skipping excluded directories entirely', function() {
+      fsTree = FSTree.fromFileSystem(root, { exclude: ['a', '*.js'] });
+
+      expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+        'a.b/',
+        'a.b/c.js',
+        'empty/',
+      ]);
+    });
+
+    it('supports a max depth', function() {
+      fsTree = FSTree.fromFileSystem(root, { maxDepth: 1 });
+
+      expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+        'a.b/',
+        'a.js',
+        'a/',
+        'empty/',
+      ]);
+    });
+
+    it('throws on an invalid max depth', function() {
+      expect(function() {
+        FSTree.fromFileSystem(root, { maxDepth: -1 });
+      }).to.throw(TypeError, 'Expected `maxDepth` to be a non-negative number but was `-1` instead.');
+    });
+
+    it('records symlinks as symlink entries when not following symlinks', function() {
+      fs.symlinkSync('a.js', root + '/link.js');
+      fs.symlinkSync('a', root + '/link');
+
+      fsTree = FSTree.fromFileSystem(root, { followSymlinks: false, maxDepth: 1 });
+
+      var links = fsTree.entries.filter(function(entry) {
+        return Entry.isSymbolicLink(entry);
+      });
+
+      expect(links.map(by('relativePath'))).to.deep.equal(['link', 'link.js']);
+      expect(links.map(by('linkTarget'))).to.deep.equal(['a', 'a.js']);
+      expect(FSTree.fromFileSystem(root, { maxDepth: 1 }).entries.map(by('relativePath'))).to.contain('link/');
+    });
+
+    it('skips symlinks to the directories being walked', function() {
+      fs.symlinkSync('..', root + '/a/loop');
+      fs.symlinkSync('../../a.b', root + '/a/b/sibling');
+
+      expect(FSTree.fromFileSystem(root).entries.map(by('relativePath'))).to.deep.equal([
+        'a.b/',
+        'a.b/c.js',
+        'a.js',
+        'a/',
+        'a/b/',
+        'a/b/d.css',
+        'a/b/sibling/',
+        'a/b/sibling/c.js',
+        'a/e.js',
+        'empty/',
+      ]);
+    });
+
+    describe('.fromFileSystemAsync', function() {
+      it('skips symlinks to the directories being walked', function() {
+        fs.symlinkSync('..', root + '/a/loop');
+
+        return FSTree.fromFileSystemAsync(root).then(function(tree) {
+          expect(tree.entries).to.deep.equal(FSTree.fromFileSystem(root).entries);
+          expect(tree.entries.map(by('relativePath'))).to.not.contain('a/loop/');
+        });
+      });
+
+      it('creates the same tree as .fromFileSystem', function() {
+        return FSTree.fromFileSystemAsync(root).then(function(tree) {
+          expect(tree.entries).to.deep.equal(FSTree.fromFileSystem(root).entries);
+        });
+      });
+
+      it('supports the same options as .fromFileSystem', function() {
+        var options = { include: '**/*.js', exclude: 'a.b', maxDepth: 2 };
+
+        return FSTree.fromFileSystemAsync(root, options).then(function(tree) {
+          expect(tree.entries.map(by('relativePath'))).to.deep.equal([
+            'a.js',
+            'a/',
+            'a/e.js',
+          ]);
+          expect(tree.entries).to.deep.equal(FSTree.fromFileSystem(root, options).entries);
+        });
+      });
+
+      it('records symlinks when not following symlinks', function() {
+        fs.symlinkSync('a.js', root + '/link.js');
+
+        return FSTree.fromFileSystemAsync(root, { followSymlinks: false }).then(function(tree) {
+          expect(tree.entries).to.deep.equal(FSTree.fromFileSystem(root, { followSymlinks: false }).entries);
+          expect(tree.entries.filter(function(entry) {
+            return Entry.isSymbolicLink(entry);
+          }).map(by('linkTarget'))).to.deep.equal(['a.js']);
+        });
+      });
+
+      it('rejects when the root does not exist', function() {
+        return FSTree.fromFileSystemAsync(root + '/missing').then(function() {
+          throw new Error('expected a rejection');
+        }, function(error) {
+          expect(error.code).to.equal('ENOENT');
+        });
+      });
+    });
+  });
+
   describe('adding new entries', function() {
     context(".addEntries", function() {
       context('input validation', function() {
@@ -374,113 +679,550 @@ describe('FSTree', function() {
     });
   });
 
-  describe('#calculatePatch', function() {
-    context('input validation', function() {
-      expect(function() {
-          FSTree.fromPaths([]).calculatePatch(FSTree.fromPaths([]), '');
-      }).to.throw(TypeError, 'calculatePatch\'s second argument must be a function');
+  describe('removing entries', function() {
+    beforeEach(function() {
+      fsTree = FSTree.fromPaths([
+        'a.js',
+        'foo/',
+        'foo/a.js',
+        'foo/bar/',
+        'foo/bar/b.js',
+        'foo/c.js',
+      ]);
     });
 
-    context('from an empty tree', function() {
-      beforeEach( function() {
-        fsTree = new FSTree();
+    context('.removePaths', function() {
+      it('removes the entries at the given paths, preserving order', function() {
+        var entries = fsTree.entries;
+
+        fsTree.removePaths(['foo/c.js', 'a.js']);
+
+        expect(fsTree.entries).to.equal(entries);
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+          'foo/',
+          'foo/a.js',
+          'foo/bar/',
+          'foo/bar/b.js',
+        ]);
       });
 
-      context('to an empty tree', function() {
-        it('returns 0 operations', function() {
-          expect(fsTree.calculatePatch(FSTree.fromPaths([]))).to.deep.equal([]);
-        });
+      it('removes directories along with all of their entries', function() {
+        fsTree.removePaths(['foo/bar/b.js', 'foo/bar']);
+
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+          'a.js',
+          'foo/',
+          'foo/a.js',
+          'foo/c.js',
+        ]);
       });
 
-      context('to a non-empty tree', function() {
-        it('returns n create operations', function() {
-          expect(fsTree.calculatePatch(FSTree.fromPaths([
-            'bar/',
-            'bar/baz.js',
-            'foo.js',
-          ]))).to.deep.equal([
-            ['mkdir',  'bar/',       directory('bar/')],
-            ['create', 'bar/baz.js', file('bar/baz.js')],
-            ['create', 'foo.js',     file('foo.js')],
-          ]);
-        });
+      it('removes descendants of removed directories with recursive', function() {
+        fsTree.removePaths(['foo/'], { recursive: true });
+
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+          'a.js',
+        ]);
+      });
+
+      it('throws, without removing anything, when removal would orphan entries', function() {
+        expect(function() {
+          fsTree.removePaths(['a.js', 'foo/bar/b.js', 'foo/']);
+        }).to.throw('Unable to remove `foo/`, as it contains `foo/a.js`, which is not being removed. Pass `recursive: true` to remove it along with its descendants.');
+
+        expect(fsTree.size).to.equal(6);
+      });
+
+      it('throws on paths which are not in the tree', function() {
+        expect(function() {
+          fsTree.removePaths(['a.js', 'b.js']);
+        }).to.throw('Unable to remove `b.js`, as it is not in the tree.');
+
+        expect(fsTree.size).to.equal(6);
+      });
+
+      it('throws on non-array input', function() {
+        expect(function() {
+          fsTree.removePaths('a.js');
+        }).to.throw(TypeError, 'paths must be an array');
       });
     });
 
-    context('from a simple non-empty tree', function() {
-      beforeEach( function() {
-        fsTree = FSTree.fromPaths([
-          'bar/',
-          'bar/baz.js',
-          'foo.js',
+    context('.removeEntries', function() {
+      it('removes entries by relativePath', function() {
+        fsTree.removeEntries([file('foo/bar/b.js'), directory('foo/bar/')]);
+
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+          'a.js',
+          'foo/',
+          'foo/a.js',
+          'foo/c.js',
         ]);
       });
 
-      context('to an empty tree', function() {
-        it('returns n rm operations', function() {
-          expect(fsTree.calculatePatch(FSTree.fromPaths([]))).to.deep.equal([
-            ['unlink', 'foo.js',     file('foo.js')],
-            ['unlink', 'bar/baz.js', file('bar/baz.js')],
-            ['rmdir',  'bar/',       directory('bar/')],
-          ]);
-        });
+      it('supports recursive', function() {
+        fsTree.removeEntries([directory('foo/')], { recursive: true });
+
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal([
+          'a.js',
+        ]);
+      });
+
+      it('throws on non-array input', function() {
+        expect(function() {
+          fsTree.removeEntries(file('a.js'));
+        }).to.throw(TypeError, 'entries must be an array');
       });
     });
+  });
 
-    context('FSTree with entries', function() {
-      context('of files', function() {
-        beforeEach(function() {
-          fsTree = new FSTree({
-            entries: [
-              directory('a/'),
-              file('a/b.js', { mode: '0o666', size: 1, mtime: 1 }),
-              file('a/c.js', { mode: '0o666', size: 1, mtime: 1 }),
-              directory('c/'),
-              file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } })
-            ]
-          });
-        });
+  describe('lookups', function() {
+    beforeEach(function() {
+      fsTree = FSTree.fromPaths([
+        'a.js',
+        'a/',
+        'a/b/',
+        'a/b/c.js',
+        'a/d.js',
+        'a0.js',
+        'e/',
+      ]);
+    });
 
-        it('detects additions', function() {
-          var result = fsTree.calculatePatch(new FSTree({
-            entries: [
-              directory('a/'),
-              file('a/b.js', { mode: '0o666', size: 1, mtime: 1 }),
-              file('a/c.js', { mode: '0o666', size: 1, mtime: 1 }),
-              file('a/j.js', { mode: '0o666', size: 1, mtime: 1 }),
-              directory('c/'),
-              file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } }),
-            ]
-          }));
+    describe('#get', function() {
+      it('returns the entry at a path', function() {
+        expect(fsTree.get('a/d.js')).to.equal(fsTree.entries[4]);
+        expect(fsTree.get('a/b/')).to.equal(fsTree.entries[2]);
+      });
 
-          expect(result).to.deep.equal([
-            ['create', 'a/j.js', file('a/j.js', { mode: '0o666', size: 1, mtime: 1 })]
-          ]);
-        });
+      it('finds directories by paths without a trailing slash', function() {
+        expect(fsTree.get('a/b')).to.equal(fsTree.entries[2]);
+        expect(fsTree.get('a')).to.equal(fsTree.entries[1]);
+      });
 
-        it('detects removals', function() {
-          var result = fsTree.calculatePatch(new FSTree({
-            entries: [
-              directory('a/'),
-              entry({ relativePath: 'a/b.js', mode: '0o666', size: 1, mtime: 1 })
-            ]
-          }));
+      it('returns undefined for missing paths', function() {
+        expect(fsTree.get('a/c.js')).to.equal(undefined);
+        expect(fsTree.get('a.js/')).to.equal(undefined);
+        expect(fsTree.get('z.js')).to.equal(undefined);
+        expect(new FSTree().get('a.js')).to.equal(undefined);
+      });
 
-          expect(result).to.deep.equal([
-            ['unlink', 'c/d.js', file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } })],
-            ['rmdir',  'c/',     directory('c/')],
-            ['unlink', 'a/c.js', file('a/c.js', { mode: '0o666', size: 1, mtime: 1 })],
-          ]);
-        });
+      it('throws on a non-string path', function() {
+        expect(function() {
+          fsTree.get(1);
+        }).to.throw(TypeError, 'Expected `relativePath` to be of type `string` but was of type `number` instead.');
+      });
+    });
 
-        it('detects file updates', function() {
-          var entries = [
-            directory('a/'),
-            file('a/b.js', { mode: '0o666', size: 1, mtime: 2 }),
-            file('a/c.js', { mode: '0o666', size: 10, mtime: 1 }),
-            directory('c/'),
-            file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 1 } }),
-          ];
+    describe('#has', function() {
+      it('returns whether the tree has an entry at a path', function() {
+        expect(fsTree.has('a/b/c.js')).to.equal(true);
+        expect(fsTree.has('e')).to.equal(true);
+        expect(fsTree.has('a/b/c')).to.equal(false);
+      });
+    });
+
+    describe('#parent', function() {
+      it('returns the entry of the containing directory', function() {
+        expect(fsTree.parent('a/b/c.js')).to.equal(fsTree.get('a/b/'));
+        expect(fsTree.parent('a/b/')).to.equal(fsTree.get('a/'));
+        expect(fsTree.parent('a/missing.js')).to.equal(fsTree.get('a/'));
+      });
+
+      it('returns undefined for paths at the root', function() {
+        expect(fsTree.parent('a.js')).to.equal(undefined);
+        expect(fsTree.parent('a/')).to.equal(undefined);
+      });
+    });
+
+    describe('#children', function() {
+      it('returns the entries directly within a directory', function() {
+        expect(fsTree.children('a').map(by('relativePath'))).to.deep.equal(['a/b/', 'a/d.js']);
+        expect(fsTree.children('a/b/').map(by('relativePath'))).to.deep.equal(['a/b/c.js']);
+        expect(fsTree.children('e/')).to.deep.equal([]);
+      });
+
+      it('returns the top-level entries of the root', function() {
+        expect(fsTree.children('').map(by('relativePath'))).to.deep.equal(['a.js', 'a/', 'a0.js', 'e/']);
+      });
+    });
+
+    describe('#descendants', function() {
+      it('returns every entry beneath a directory', function() {
+        expect(fsTree.descendants('a').map(by('relativePath'))).to.deep.equal(['a/b/', 'a/b/c.js', 'a/d.js']);
+        expect(fsTree.descendants('missing/')).to.deep.equal([]);
+        expect(fsTree.descendants('')).to.deep.equal(fsTree.entries);
+      });
+    });
+  });
+
+  describe('#filter', function() {
+    beforeEach(function() {
+      fsTree = FSTree.fromPaths([
+        'a.js',
+        'empty/',
+        'lib/',
+        'lib/b.css',
+        'lib/c/',
+        'lib/c/d.js',
+        'node_modules/',
+        'node_modules/e.js',
+        'styles/',
+        'styles/f.css',
+      ]);
+    });
+
+    it('keeps included files and the directories containing them', function() {
+      var result = fsTree.filter({ include: '**/*.js' });
+
+      expect(result).to.be.an.instanceOf(FSTree);
+      expect(result.entries.map(by('relativePath'))).to.deep.equal([
+        'a.js',
+        'lib/',
+        'lib/c/',
+        'lib/c/d.js',
+        'node_modules/',
+        'node_modules/e.js',
+      ]);
+    });
+
+    it('drops excluded directories along with their contents', function() {
+      expect(fsTree.filter({ exclude: ['node_modules', '**/*.css'] }).entries.map(by('relativePath'))).to.deep.equal([
+        'a.js',
+        'empty/',
+        'lib/',
+        'lib/c/',
+        'lib/c/d.js',
+      ]);
+    });
+
+    it('supports predicates', function() {
+      var result = fsTree.filter(function(entry) {
+        return entry.relativePath.indexOf('.css') !== -1;
+      });
+
+      expect(result.entries.map(by('relativePath'))).to.deep.equal([
+        'lib/',
+        'lib/b.css',
+        'styles/',
+        'styles/f.css',
+      ]);
+    });
+
+    it('does not modify the original tree', function() {
+      var entries = fsTree.entries.slice();
+
+      fsTree.filter({ include: '*.js' });
+
+      expect(fsTree.entries).to.deep.equal(entries);
+    });
+
+    it('restores directories implied by the remaining entries', function() {
+      fsTree = FSTree.fromEntries([
+        file('a/b/c.js'),
+        file('a/b/d.css'),
+      ]);
+
+      expect(fsTree.filter({ include: '**/*.js' }).entries.map(by('relativePath'))).to.deep.equal([
+        'a/',
+        'a/b/',
+        'a/b/c.js',
+      ]);
+    });
+
+    it('throws on an invalid filter', function() {
+      expect(function() {
+        fsTree.filter('**/*.js');
+      }).to.throw(TypeError, 'filter\'s first argument must be a function or an object of `include` and `exclude` globs');
+    });
+  });
+
+  describe('#subtree', function() {
+    beforeEach(function() {
+      fsTree = FSTree.fromEntries([
+        directory('app/'),
+        file('app/index.js', { size: 1, mtime: 1 }),
+        directory('app/styles/'),
+        directory('app/styles/components/'),
+        file('app/styles/components/b.css', { size: 2, mtime: 2 }),
+        file('app/styles/main.css', { size: 3, mtime: 3 }),
+        file('app/styles2.css'),
+      ]);
+    });
+
+    it('returns the entries beneath a directory, relative to it', function() {
+      expect(fsTree.subtree('app/styles').entries).to.deep.equal([
+        directory('components/'),
+        file('components/b.css', { size: 2, mtime: 2 }),
+        file('main.css', { size: 3, mtime: 3 }),
+      ]);
+      expect(fsTree.subtree('app/styles/').entries).to.deep.equal(fsTree.subtree('app/styles').entries);
+    });
+
+    it('copies entries, leaving the original tree unchanged', function() {
+      var result = fsTree.subtree('app/styles');
+
+      expect(result.entries[1]).to.be.an.instanceOf(MockEntry);
+      expect(fsTree.entries[4].relativePath).to.equal('app/styles/components/b.css');
+    });
+
+    it('returns an empty tree for missing directories', function() {
+      expect(fsTree.subtree('lib').entries).to.deep.equal([]);
+    });
+
+    it('throws on a non-string path', function() {
+      expect(function() {
+        fsTree.subtree(null);
+      }).to.throw(TypeError, 'Expected `dirPath` to be of type `string` but was of type `object` instead.');
+    });
+  });
+
+  describe('#prefix', function() {
+    it('nests every entry beneath the directory, adding its implied entries', function() {
+      fsTree = FSTree.fromEntries([
+        directory('a/'),
+        file('a/b.js', { size: 1, mtime: 1 }),
+        file('c.js'),
+      ]);
+
+      expect(fsTree.prefix('assets/js').entries.map(by('relativePath'))).to.deep.equal([
+        'assets/',
+        'assets/js/',
+        'assets/js/a/',
+        'assets/js/a/b.js',
+        'assets/js/c.js',
+      ]);
+      expect(fsTree.prefix('assets/js').entries[3]).to.deep.equal(file('assets/js/a/b.js', { size: 1, mtime: 1 }));
+      expect(fsTree.entries[1].relativePath).to.equal('a/b.js');
+    });
+
+    it('is undone by subtree', function() {
+      fsTree = FSTree.fromPaths(['a/', 'a/b.js', 'c.js']);
+
+      expect(fsTree.prefix('assets').subtree('assets').entries).to.deep.equal(fsTree.entries);
+    });
+  });
+
+  describe('.merge', function() {
+    function sourced(entry, source) {
+      entry.source = source;
+      return entry;
+    }
+
+    it('merges trees, recording the tree each entry came from', function() {
+      var result = FSTree.merge([
+        FSTree.fromEntries([directory('a/'), file('a/b.js', { size: 1 })]),
+        FSTree.fromEntries([directory('a/'), file('a/c.js', { size: 2 }), file('d.js', { size: 3 })]),
+      ]);
+
+      expect(result).to.be.an.instanceOf(FSTree);
+      expect(result.entries).to.deep.equal([
+        sourced(directory('a/'), 0),
+        sourced(file('a/b.js', { size: 1 }), 0),
+        sourced(file('a/c.js', { size: 2 }), 1),
+        sourced(file('d.js', { size: 3 }), 1),
+      ]);
+    });
+
+    it('adds directories implied by the merged trees', function() {
+      var result = FSTree.merge([
+        FSTree.fromEntries([file('a/b.js')]),
+        FSTree.fromEntries([file('c.js')]),
+      ]);
+
+      expect(result.entries.map(by('relativePath'))).to.deep.equal(['a/', 'a/b.js', 'c.js']);
+      expect(result.entries.map(by('source'))).to.deep.equal([undefined, 0, 1]);
+    });
+
+    it('does not modify the merged trees', function() {
+      var tree = FSTree.fromPaths(['a.js']);
+
+      FSTree.merge([tree, FSTree.fromPaths(['b.js'])]);
+
+      expect(tree.entries[0]).to.not.have.property('source');
+    });
+
+    it('throws on file collisions by default', function() {
+      expect(function() {
+        FSTree.merge([
+          FSTree.fromPaths(['a.js']),
+          FSTree.fromPaths(['b.js']),
+          FSTree.fromPaths(['a.js']),
+        ]);
+      }).to.throw('Merge error: file `a.js` exists in trees 0 and 2. Pass `overwrite: true` or an `onConflict` function to `FSTree.merge` to resolve it.');
+    });
+
+    it('takes colliding entries from the last tree with overwrite', function() {
+      var result = FSTree.merge([
+        FSTree.fromEntries([directory('a/', { mtime: 1 }), file('a/b.js', { size: 1 })]),
+        FSTree.fromEntries([directory('a/', { mtime: 2 }), file('a/b.js', { size: 2 })]),
+      ], { overwrite: true });
+
+      expect(result.entries).to.deep.equal([
+        sourced(directory('a/', { mtime: 2 }), 1),
+        sourced(file('a/b.js', { size: 2 }), 1),
+      ]);
+    });
+
+    it('resolves file collisions with onConflict', function() {
+      var calls = [];
+      var result = FSTree.merge([
+        FSTree.fromEntries([file('a.js', { size: 1 })]),
+        FSTree.fromEntries([file('a.js', { size: 2 })]),
+      ], {
+        overwrite: true,
+        onConflict: function(relativePath, entries) {
+          calls.push([relativePath, entries.map(by('source'))]);
+          return entries[0];
+        }
+      });
+
+      expect(calls).to.deep.equal([['a.js', [0, 1]]]);
+      expect(result.entries).to.deep.equal([sourced(file('a.js', { size: 1 }), 0)]);
+    });
+
+    it('throws when onConflict does not return one of its entries', function() {
+      expect(function() {
+        FSTree.merge([FSTree.fromPaths(['a.js']), FSTree.fromPaths(['a.js'])], {
+          onConflict: function() { return file('a.js'); }
+        });
+      }).to.throw('Merge error: `onConflict` must return one of the entries it was given for `a.js`.');
+    });
+
+    it('throws on file/directory collisions, even with overwrite', function() {
+      expect(function() {
+        FSTree.merge([
+          FSTree.fromPaths(['a']),
+          FSTree.fromPaths(['a/', 'a/b.js']),
+        ], { overwrite: true });
+      }).to.throw('Merge error: conflicting file types: `a` is a file in tree 0 but a directory in tree 1.');
+
+      expect(function() {
+        FSTree.merge([
+          FSTree.fromEntries([file('a/b/c.js')]),
+          FSTree.fromPaths(['a/', 'a/b']),
+        ]);
+      }).to.throw('Merge error: conflicting file types: `a/b` is a file in tree 1 but a directory in tree 0.');
+    });
+
+    it('throws on invalid arguments', function() {
+      expect(function() {
+        FSTree.merge(FSTree.fromPaths(['a.js']));
+      }).to.throw(TypeError, 'merge\'s first argument must be an array of trees');
+
+      expect(function() {
+        FSTree.merge([], { onConflict: true });
+      }).to.throw(TypeError, 'Expected `onConflict` to be of type `function` but was of type `boolean` instead.');
+    });
+  });
+
+  describe('#calculatePatch', function() {
+    context('input validation', function() {
+      expect(function() {
+          FSTree.fromPaths([]).calculatePatch(FSTree.fromPaths([]), '');
+      }).to.throw(TypeError, 'calculatePatch\'s second argument must be a function');
+    });
+
+    context('from an empty tree', function() {
+      beforeEach( function() {
+        fsTree = new FSTree();
+      });
+
+      context('to an empty tree', function() {
+        it('returns 0 operations', function() {
+          expect(fsTree.calculatePatch(FSTree.fromPaths([]))).to.deep.equal([]);
+        });
+      });
+
+      context('to a non-empty tree', function() {
+        it('returns n create operations', function() {
+          expect(fsTree.calculatePatch(FSTree.fromPaths([
+            'bar/',
+            'bar/baz.js',
+            'foo.js',
+          ]))).to.deep.equal([
+            ['mkdir',  'bar/',       directory('bar/')],
+            ['create', 'bar/baz.js', file('bar/baz.js')],
+            ['create', 'foo.js',     file('foo.js')],
+          ]);
+        });
+      });
+    });
+
+    context('from a simple non-empty tree', function() {
+      beforeEach( function() {
+        fsTree = FSTree.fromPaths([
+          'bar/',
+          'bar/baz.js',
+          'foo.js',
+        ]);
+      });
+
+      context('to an empty tree', function() {
+        it('returns n rm operations', function() {
+          expect(fsTree.calculatePatch(FSTree.fromPaths([]))).to.deep.equal([
+            ['unlink', 'foo.js',     file('foo.js')],
+            ['unlink', 'bar/baz.js', file('bar/baz.js')],
+            ['rmdir',  'bar/',       directory('bar/')],
+          ]);
+        });
+      });
+    });
+
+    context('FSTree with entries', function() {
+      context('of files', function() {
+        beforeEach(function() {
+          fsTree = new FSTree({
+            entries: [
+              directory('a/'),
+              file('a/b.js', { mode: '0o666', size: 1, mtime: 1 }),
+              file('a/c.js', { mode: '0o666', size: 1, mtime: 1 }),
+              directory('c/'),
+              file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } })
+            ]
+          });
+        });
+
+        it('detects additions', function() {
+          var result = fsTree.calculatePatch(new FSTree({
+            entries: [
+              directory('a/'),
+              file('a/b.js', { mode: '0o666', size: 1, mtime: 1 }),
+              file('a/c.js', { mode: '0o666', size: 1, mtime: 1 }),
+              file('a/j.js', { mode: '0o666', size: 1, mtime: 1 }),
+              directory('c/'),
+              file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } }),
+            ]
+          }));
+
+          expect(result).to.deep.equal([
+            ['create', 'a/j.js', file('a/j.js', { mode: '0o666', size: 1, mtime: 1 })]
+          ]);
+        });
+
+        it('detects removals', function() {
+          var result = fsTree.calculatePatch(new FSTree({
+            entries: [
+              directory('a/'),
+              entry({ relativePath: 'a/b.js', mode: '0o666', size: 1, mtime: 1 })
+            ]
+          }));
+
+          expect(result).to.deep.equal([
+            ['unlink', 'c/d.js', file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 0 } })],
+            ['rmdir',  'c/',     directory('c/')],
+            ['unlink', 'a/c.js', file('a/c.js', { mode: '0o666', size: 1, mtime: 1 })],
+          ]);
+        });
+
+        it('detects file updates', function() {
+          var entries = [
+            directory('a/'),
+            file('a/b.js', { mode: '0o666', size: 1, mtime: 2 }),
+            file('a/c.js', { mode: '0o666', size: 10, mtime: 1 }),
+            directory('c/'),
+            file('c/d.js', { mode: '0o666', size: 1, mtime: 1, meta: { rev: 1 } }),
+          ];
 
           var result = fsTree.calculatePatch(new FSTree({
             entries: entries
@@ -863,35 +1605,890 @@ describe('FSTree', function() {
         ]);
       });
     });
-  });
 
-  describe('.applyPatch', function() {
-    var inputDir = 'tmp/fixture/input';
-    var outputDir = 'tmp/fixture/output';
+    context('with caseSensitive: false', function() {
+      it('pairs entries whose paths differ only in case', function() {
+        fsTree = FSTree.fromEntries([
+          file('A.js', { size: 1, mtime: 1 }),
+          file('b.js', { size: 1, mtime: 1 }),
+        ], { caseSensitive: false });
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          file('a.js', { size: 1, mtime: 1 }),
+          file('B.js', { size: 2, mtime: 1 }),
+          file('c.js', { size: 1, mtime: 1 }),
+        ], { caseSensitive: false }))).to.deep.equal([
+          ['change', 'B.js', file('B.js', { size: 2, mtime: 1 })],
+          ['create', 'c.js', file('c.js', { size: 1, mtime: 1 })],
+        ]);
+      });
 
-    beforeEach(function() {
-      fs.mkdirpSync(inputDir);
-      fs.mkdirpSync(outputDir);
-    });
+      it('sorts and validates case insensitively', function() {
+        expect(FSTree.fromPaths(['b.js', 'A/c.js', 'a/'], {
+          caseSensitive: false,
+          sortAndExpand: true
+        }).entries.map(by('relativePath'))).to.deep.equal(['a/', 'A/c.js', 'b.js']);
 
-    afterEach(function() {
-      fs.removeSync('tmp');
+        expect(function() {
+          FSTree.fromPaths(['Foo.js', 'foo.js'], { caseSensitive: false });
+        }).to.throw('expected entries[0]: `Foo.js` to be < entries[1]: `foo.js`, but was not. Ensure your input is sorted and has no duplicate paths');
+      });
+
+      it('adds and looks up entries case insensitively', function() {
+        fsTree = FSTree.fromPaths(['A/', 'A/b.js'], { caseSensitive: false });
+        fsTree.addPaths(['a/B.js', 'a/c.js']);
+
+        expect(fsTree.entries.map(by('relativePath'))).to.deep.equal(['A/', 'a/B.js', 'a/c.js']);
+        expect(fsTree.get('a/b.JS').relativePath).to.equal('a/B.js');
+        expect(fsTree.children('a').map(by('relativePath'))).to.deep.equal(['a/B.js', 'a/c.js']);
+        expect(fsTree.subtree('a').entries.map(by('relativePath'))).to.deep.equal(['B.js', 'c.js']);
+        expect(fsTree.subtree('a').comparator).to.equal(fsTree.comparator);
+      });
     });
 
-    it('applies all types of operations', function() {
-      var firstTree = FSTree.fromEntries(walkSync.entries(inputDir));
+    context('with normalize', function() {
+      it('pairs entries whose paths differ only in Unicode normalization', function() {
+        var composed = 'caf\u00e9/';
+        var decomposed = 'cafe\u0301/';
 
-      var fooIndex = path.join(inputDir, 'foo/index.js');
-      var barIndex = path.join(inputDir, 'bar/index.js');
-      var barOutput = path.join(outputDir, 'bar/index.js')
+        fsTree = FSTree.fromPaths([composed, composed + 'a.js'], { normalize: 'NFC' });
 
-      fs.outputFileSync(fooIndex, 'foo'); // mkdir + create
-      fs.outputFileSync(barIndex, 'bar'); // mkdir + create
+        expect(fsTree.calculatePatch(FSTree.fromPaths([decomposed, decomposed + 'a.js'], { normalize: 'NFC' }))).to.deep.equal([]);
+        expect(FSTree.fromPaths([composed]).calculatePatch(FSTree.fromPaths([decomposed])).map(function(operation) {
+          return operation[0];
+        })).to.deep.equal(['rmdir', 'mkdir']);
+      });
+    });
 
-      var secondTree = FSTree.fromEntries(walkSync.entries(inputDir));
-      var patch = firstTree.calculatePatch(secondTree);
+    it('throws when the trees compare paths differently', function() {
+      expect(function() {
+        FSTree.fromPaths(['a.js']).calculatePatch(FSTree.fromPaths(['a.js'], { caseSensitive: false }));
+      }).to.throw('Unable to calculate a patch between trees which compare paths differently. Ensure both trees were created with the same `caseSensitive` and `normalize` options.');
+    });
 
-      FSTree.applyPatch(inputDir, outputDir, patch);
+    context('with detectRenames', function() {
+      it('is opt-in', function() {
+        fsTree = FSTree.fromEntries([
+          file('a.js', { size: 1, mtime: 1 }),
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          file('b.js', { size: 1, mtime: 1 }),
+        ]))).to.deep.equal([
+          ['unlink', 'a.js', file('a.js', { size: 1, mtime: 1 })],
+          ['create', 'b.js', file('b.js', { size: 1, mtime: 1 })],
+        ]);
+      });
+
+      it('accepts a null isEqual', function() {
+        fsTree = FSTree.fromEntries([
+          file('a.js', { size: 1, mtime: 1 }),
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          file('b.js', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true })).to.deep.equal([
+          ['rename', 'b.js', file('b.js', { size: 1, mtime: 1 }), file('a.js', { size: 1, mtime: 1 })],
+        ]);
+      });
+
+      it('only pairs files with the same size, mode and mtime', function() {
+        fsTree = FSTree.fromEntries([
+          file('a.js', { size: 1, mtime: 1 }),
+          file('b.js', { size: 2, mtime: 1 }),
+          file('c.js', { size: 3, mtime: 1, mode: 420 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          file('d.js', { size: 1, mtime: 2 }),
+          file('e.js', { size: 3, mtime: 1 }),
+          file('f.js', { size: 2, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result).to.deep.equal([
+          ['unlink', 'c.js', file('c.js', { size: 3, mtime: 1, mode: 420 })],
+          ['unlink', 'a.js', file('a.js', { size: 1, mtime: 1 })],
+          ['rename', 'f.js', file('f.js', { size: 2, mtime: 1 }), file('b.js', { size: 2, mtime: 1 })],
+          ['create', 'd.js', file('d.js', { size: 1, mtime: 2 })],
+          ['create', 'e.js', file('e.js', { size: 3, mtime: 1 })],
+        ]);
+      });
+
+      it('pairs files by digest when both entries have one', function() {
+        var before = file('a.js', { size: 1, mtime: 1 });
+        var after = file('b.js', { size: 1, mtime: 2 });
+        before.digest = after.digest = 'abc';
+
+        fsTree = FSTree.fromEntries([before]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([after]), null, {
+          detectRenames: true
+        })).to.deep.equal([
+          ['rename', 'b.js', after, before],
+        ]);
+      });
+
+      it('ignores empty files and directories', function() {
+        fsTree = FSTree.fromPaths([
+          'a.js',
+          'a/',
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromPaths([
+          'b.js',
+          'b/',
+        ]), null, { detectRenames: true })).to.deep.equal([
+          ['rmdir',  'a/',   directory('a/')],
+          ['unlink', 'a.js', file('a.js')],
+          ['create', 'b.js', file('b.js')],
+          ['mkdir',  'b/',   directory('b/')],
+        ]);
+      });
+
+      it('prefers files with the same basename', function() {
+        fsTree = FSTree.fromEntries([
+          file('a.js', { size: 1, mtime: 1 }),
+          file('b.js', { size: 1, mtime: 1 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          directory('lib/'),
+          file('lib/a.js', { size: 1, mtime: 1 }),
+          file('lib/b.js', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result.map(function(operation) {
+          return operation[0] + ' ' + (operation[3] ? operation[3].relativePath + ' -> ' : '') + operation[1];
+        })).to.deep.equal([
+          'mkdir lib/',
+          'rename a.js -> lib/a.js',
+          'rename b.js -> lib/b.js',
+        ]);
+      });
+
+      it('orders renames after creating and before removing directories', function() {
+        fsTree = FSTree.fromEntries([
+          directory('old/'),
+          directory('old/deep/'),
+          file('old/deep/a.js', { size: 1, mtime: 1 }),
+          file('old/deep/b.js', { size: 2, mtime: 1 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          file('old', { size: 3, mtime: 1 }),
+          directory('z/'),
+          directory('z/new/'),
+          file('z/new/a.js', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result).to.deep.equal([
+          ['unlink', 'old/deep/b.js', file('old/deep/b.js', { size: 2, mtime: 1 })],
+          ['mkdir',  'z/',            directory('z/')],
+          ['mkdir',  'z/new/',        directory('z/new/')],
+          ['rename', 'z/new/a.js',    file('z/new/a.js', { size: 1, mtime: 1 }), file('old/deep/a.js', { size: 1, mtime: 1 })],
+          ['rmdir',  'old/deep/',     directory('old/deep/')],
+          ['rmdir',  'old/',          directory('old/')],
+          ['create', 'old',           file('old', { size: 3, mtime: 1 })],
+        ]);
+      });
+
+      it('does not rename a file into a directory replacing it', function() {
+        fsTree = FSTree.fromEntries([
+          file('a', { size: 1, mtime: 1 }),
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          directory('a/'),
+          file('a/a', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true })).to.deep.equal([
+          ['unlink', 'a',   file('a', { size: 1, mtime: 1 })],
+          ['mkdir',  'a/',  directory('a/')],
+          ['create', 'a/a', file('a/a', { size: 1, mtime: 1 })],
+        ]);
+      });
+
+      it('renames a file before creating a directory at its path', function() {
+        fsTree = FSTree.fromEntries([
+          file('d', { size: 1, mtime: 1 }),
+          file('w', { size: 2, mtime: 1 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          directory('d/'),
+          file('d/z', { size: 2, mtime: 1 }),
+          file('e', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result.map(describeOperation)).to.deep.equal([
+          'rename d -> e',
+          'mkdir d/',
+          'rename w -> d/z',
+        ]);
+      });
+
+      it('renames a file into a path after removing the directory there', function() {
+        fsTree = FSTree.fromEntries([
+          directory('s/'),
+          file('s/x', { size: 1, mtime: 1 }),
+          file('y', { size: 2, mtime: 1 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          file('s', { size: 2, mtime: 1 }),
+          file('t', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result.map(describeOperation)).to.deep.equal([
+          'rename s/x -> t',
+          'rmdir s/',
+          'rename y -> s',
+        ]);
+      });
+
+      it('splits renames which depend on each other', function() {
+        fsTree = FSTree.fromEntries([
+          directory('a/'),
+          file('a/x', { size: 1, mtime: 1 }),
+          directory('b/'),
+          file('b/y', { size: 2, mtime: 1 }),
+        ]);
+
+        var result = fsTree.calculatePatch(FSTree.fromEntries([
+          file('a', { size: 2, mtime: 1 }),
+          file('b', { size: 1, mtime: 1 }),
+        ]), null, { detectRenames: true });
+
+        expect(result.map(describeOperation)).to.deep.equal([
+          'unlink b/y',
+          'rmdir b/',
+          'rename a/x -> b',
+          'rmdir a/',
+          'create a',
+        ]);
+      });
+
+      it('produces patches which apply in order', function() {
+        var random = seededRandom(1);
+
+        for (var i = 0; i < 1000; i++) {
+          var before = randomTree(random);
+          var after = randomTree(random);
+          var patch = before.calculatePatch(after, null, { detectRenames: true });
+
+          expect(replayPatch(before, patch)).to.deep.equal(pathsOf(after));
+        }
+      });
+    });
+
+    context('with symlinks', function() {
+      function symlink(relativePath, linkTarget) {
+        var entry = new Entry(relativePath, linkTarget.length, 1, 41453);
+        entry.linkTarget = linkTarget;
+        return entry;
+      }
+
+      it('creates symlinks with the symlink operation', function() {
+        fsTree = FSTree.fromEntries([]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          symlink('a.js', 'b.js'),
+        ]))).to.deep.equal([
+          ['symlink', 'a.js', symlink('a.js', 'b.js')],
+        ]);
+      });
+
+      it('replaces symlinks whose target changed', function() {
+        fsTree = FSTree.fromEntries([
+          symlink('a.js', 'b.js'),
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          symlink('a.js', 'c.js'),
+        ]))).to.deep.equal([
+          ['unlink',  'a.js', symlink('a.js', 'b.js')],
+          ['symlink', 'a.js', symlink('a.js', 'c.js')],
+        ]);
+      });
+
+      it('replaces files which became symlinks', function() {
+        fsTree = FSTree.fromEntries([
+          file('a.js', { size: 4, mtime: 1 }),
+        ]);
+
+        expect(fsTree.calculatePatch(FSTree.fromEntries([
+          symlink('a.js', 'b.js'),
+        ]))).to.deep.equal([
+          ['unlink',  'a.js', file('a.js', { size: 4, mtime: 1 })],
+          ['symlink', 'a.js', symlink('a.js', 'b.js')],
+        ]);
+      });
+
+      it('compares symlinks by their targets', function() {
+        var a = symlink('a.js', 'b.js');
+        var b = symlink('a.js', 'b.js');
+
+        b.mtime = 2;
+
+        expect(defaultIsEqual(a, b)).to.equal(true);
+        expect(defaultIsEqual(a, symlink('a.js', 'c.js'))).to.equal(false);
+        expect(defaultIsEqual(a, file('a.js', { size: 4, mtime: 1, mode: 41453 }))).to.equal(false);
+      });
+
+      it('inverts and composes symlink operations', function() {
+        var before = FSTree.fromEntries([symlink('a.js', 'b.js')]);
+        var after = FSTree.fromEntries([symlink('a.js', 'c.js')]);
+        var patch = before.calculatePatch(after);
+
+        expect(FSTree.invertPatch(patch, before)).to.deep.equal([
+          ['unlink',  'a.js', symlink('a.js', 'c.js')],
+          ['symlink', 'a.js', symlink('a.js', 'b.js')],
+        ]);
+        expect(FSTree.composePatches([patch])).to.deep.equal(patch);
+        expect(FSTree.composePatches([patch, FSTree.invertPatch(patch, before)])).to.deep.equal([]);
+      });
+    });
+
+    context('directory digests', function() {
+      var originalIsEqual;
+      var compared;
+
+      beforeEach(function() {
+        originalIsEqual = FSTree.defaultIsEqual;
+        compared = [];
+
+        FSTree.defaultIsEqual = function(a, b) {
+          compared.push(a.relativePath);
+          return originalIsEqual(a, b);
+        };
+      });
+
+      afterEach(function() {
+        FSTree.defaultIsEqual = originalIsEqual;
+      });
+
+      function tree(changedMtime) {
+        return FSTree.fromEntries([
+          directory('a/'),
+          file('a/b.js', { size: 1, mtime: 1 }),
+          directory('a/c/'),
+          file('a/c/d.js', { size: 1, mtime: 1 }),
+          directory('e/'),
+          file('e/f.js', { size: 1, mtime: changedMtime }),
+          file('g.js', { size: 1, mtime: 1 }),
+        ]);
+      }
+
+      it('skips directories whose contents are unchanged', function() {
+        expect(tree(1).calculatePatch(tree(2))).to.deep.equal([
+          ['change', 'e/f.js', file('e/f.js', { size: 1, mtime: 2 })],
+        ]);
+        expect(compared).to.deep.equal(['e/', 'e/f.js', 'g.js']);
+      });
+
+      it('skips everything when the trees are unchanged', function() {
+        expect(tree(1).calculatePatch(tree(1))).to.deep.equal([]);
+        expect(compared).to.deep.equal([]);
+      });
+
+      it('keeps the digests up to date as entries are added, replaced and removed', function() {
+        var before = tree(1);
+        var after = tree(1);
+
+        expect(before.calculatePatch(after)).to.deep.equal([]);
+
+        after.addEntries([file('a/c/d.js', { size: 2, mtime: 1 })]);
+        compared = [];
+        expect(before.calculatePatch(after)).to.deep.equal([
+          ['change', 'a/c/d.js', file('a/c/d.js', { size: 2, mtime: 1 })],
+        ]);
+        expect(compared).to.deep.equal(['a/', 'a/b.js', 'a/c/', 'a/c/d.js', 'g.js']);
+
+        after.removePaths(['a/c/'], { recursive: true });
+        after.addEntries([file('e/h.js', { size: 1, mtime: 1 })]);
+        compared = [];
+        expect(before.calculatePatch(after)).to.deep.equal([
+          ['unlink', 'a/c/d.js', file('a/c/d.js', { size: 1, mtime: 1 })],
+          ['rmdir', 'a/c/', directory('a/c/')],
+          ['create', 'e/h.js', file('e/h.js', { size: 1, mtime: 1 })],
+        ]);
+
+        after.removePaths(['e/h.js']);
+        after.addEntries([directory('a/c/'), file('a/c/d.js', { size: 1, mtime: 1 })]);
+        compared = [];
+        expect(before.calculatePatch(after)).to.deep.equal([]);
+        expect(compared).to.deep.equal([]);
+      });
+
+      it('does not use the digests of replaced entries', function() {
+        var before = tree(1);
+        var after = tree(1);
+
+        expect(before.calculatePatch(after)).to.deep.equal([]);
+
+        after.entries = tree(2).entries;
+        expect(before.calculatePatch(after)).to.deep.equal([
+          ['change', 'e/f.js', file('e/f.js', { size: 1, mtime: 2 })],
+        ]);
+      });
+
+      it('does not skip with a custom isEqual', function() {
+        var patch = tree(1).calculatePatch(tree(1), function() { return false; });
+
+        expect(patch.map(function(operation) {
+          return operation[1];
+        }).sort()).to.deep.equal(['a/', 'a/b.js', 'a/c/', 'a/c/d.js', 'e/', 'e/f.js', 'g.js']);
+      });
+
+      it('calculates the same patches as without skipping', function() {
+        var before = FSTree.fromPaths(['a/b/c.js', 'a/b/d.js', 'a/e.js', 'f/g.js', 'h.js'], { sortAndExpand: true });
+        var after = FSTree.fromPaths(['a/b/c.js', 'a/e.js', 'a/x/y.js', 'f/g.js', 'i.js'], { sortAndExpand: true });
+
+        expect(before.calculatePatch(after)).to.deep.equal(before.calculatePatch(after, function(a, b) {
+          return originalIsEqual(a, b);
+        }));
+      });
+    });
+  });
+
+  describe('#calculatePatchForPaths', function() {
+    var before = FSTree.fromEntries([
+      directory('a/'),
+      file('a/b.js', { size: 1, mtime: 1 }),
+      directory('a/c/'),
+      file('a/c/d.js', { size: 1, mtime: 1 }),
+      file('e.js', { size: 1, mtime: 1 }),
+      directory('f/'),
+      file('f/g.js', { size: 1, mtime: 1 }),
+      file('h.js', { size: 1, mtime: 1 }),
+    ]);
+    var after = FSTree.fromEntries([
+      directory('a/'),
+      file('a/b.js', { size: 1, mtime: 2 }),
+      directory('e/'),
+      file('e/x.js', { size: 1, mtime: 1 }),
+      directory('f/'),
+      file('f/g.js', { size: 1, mtime: 1 }),
+      file('h.js', { size: 1, mtime: 3 }),
+      directory('i/'),
+      directory('i/j/'),
+      file('i/j/k.js', { size: 1, mtime: 1 }),
+    ]);
+
+    it('calculates the patch for the dirty paths', function() {
+      expect(before.calculatePatchForPaths(after, ['a/b.js', 'a/c', 'e.js', 'e/', 'i/j/k.js'])).to.deep.equal([
+        ['unlink', 'e.js', file('e.js', { size: 1, mtime: 1 })],
+        ['unlink', 'a/c/d.js', file('a/c/d.js', { size: 1, mtime: 1 })],
+        ['rmdir', 'a/c/', directory('a/c/')],
+        ['change', 'a/b.js', file('a/b.js', { size: 1, mtime: 2 })],
+        ['mkdir', 'e/', directory('e/')],
+        ['create', 'e/x.js', file('e/x.js', { size: 1, mtime: 1 })],
+        ['mkdir', 'i/', directory('i/')],
+        ['mkdir', 'i/j/', directory('i/j/')],
+        ['create', 'i/j/k.js', file('i/j/k.js', { size: 1, mtime: 1 })],
+      ]);
+    });
+
+    it('ignores changes at other paths', function() {
+      expect(before.calculatePatchForPaths(after, ['f/'])).to.deep.equal([]);
+      expect(before.calculatePatchForPaths(after, ['h.js'])).to.deep.equal([
+        ['change', 'h.js', file('h.js', { size: 1, mtime: 3 })],
+      ]);
+    });
+
+    it('is the same as calculatePatch when every changed path is dirty', function() {
+      var dirty = ['a/b.js', 'a/c/', 'e.js', 'e', 'h.js', 'i/'];
+
+      expect(before.calculatePatchForPaths(after, dirty)).to.deep.equal(before.calculatePatch(after));
+      expect(before.calculatePatchForPaths(after, [''])).to.deep.equal(before.calculatePatch(after));
+    });
+
+    it('passes isEqual and options to calculatePatch', function() {
+      var renamedFrom = FSTree.fromEntries([file('a.js', { size: 1, mtime: 1 })]);
+      var renamedTo = FSTree.fromEntries([file('b.js', { size: 1, mtime: 1 })]);
+
+      expect(renamedFrom.calculatePatchForPaths(renamedTo, ['a.js', 'b.js'], null, { detectRenames: true })).to.deep.equal([
+        ['rename', 'b.js', file('b.js', { size: 1, mtime: 1 }), file('a.js', { size: 1, mtime: 1 })],
+      ]);
+      expect(before.calculatePatchForPaths(before, ['f/g.js'], function() { return false; })).to.deep.equal([
+        ['change', 'f/', directory('f/')],
+        ['change', 'f/g.js', file('f/g.js', { size: 1, mtime: 1 })],
+      ]);
+    });
+
+    it('throws on invalid paths', function() {
+      expect(function() {
+        before.calculatePatchForPaths(after, 'a.js');
+      }).to.throw(TypeError, 'calculatePatchForPaths\'s second argument must be an array of paths');
+
+      expect(function() {
+        before.calculatePatchForPaths(after, ['../a.js']);
+      }).to.throw('Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+    });
+  });
+
+  describe('#directoryDigest', function() {
+    it('is the same for directories with the same contents', function() {
+      var a = FSTree.fromPaths(['a/b.js', 'c/b.js', 'd/e.js'], { sortAndExpand: true });
+      var b = FSTree.fromPaths(['a/b.js', 'c/b.js', 'd/f.js'], { sortAndExpand: true });
+
+      expect(a.directoryDigest('a')).to.equal(b.directoryDigest('a/'));
+      expect(a.directoryDigest('a/')).to.equal(a.directoryDigest('c/'));
+      expect(a.directoryDigest('d/')).to.not.equal(b.directoryDigest('d/'));
+      expect(a.directoryDigest('')).to.not.equal(b.directoryDigest(''));
+      expect(a.directoryDigest('x/')).to.equal(undefined);
+    });
+
+    it('changes as entries are added and removed', function() {
+      var tree = FSTree.fromPaths(['a/b.js'], { sortAndExpand: true });
+      var digest = tree.directoryDigest('a/');
+
+      tree.addPaths(['a/c.js']);
+      expect(tree.directoryDigest('a/')).to.not.equal(digest);
+
+      tree.removePaths(['a/c.js']);
+      expect(tree.directoryDigest('a/')).to.equal(digest);
+    });
+
+    it('is not serialized', function() {
+      var tree = FSTree.fromPaths(['a/b.js'], { sortAndExpand: true });
+
+      tree.directoryDigest('a/');
+
+      expect(Object.keys(tree)).to.deep.equal(['comparator', 'entries']);
+    });
+  });
+
+  describe('.invertPatch', function() {
+    it('inverts each operation in reverse order, restoring entries from the original tree', function() {
+      var before = FSTree.fromEntries([
+        directory('a/'),
+        file('a/b.js', { size: 1, mtime: 1 }),
+        file('c.js', { size: 1, mtime: 1 }),
+      ]);
+      var after = FSTree.fromEntries([
+        file('c.js', { size: 2, mtime: 2 }),
+        directory('d/'),
+        file('d/e.js', { size: 1, mtime: 1 }),
+      ]);
+
+      var patch = before.calculatePatch(after);
+
+      expect(patch).to.deep.equal([
+        ['unlink', 'a/b.js', file('a/b.js', { size: 1, mtime: 1 })],
+        ['rmdir',  'a/',     directory('a/')],
+        ['change', 'c.js',   file('c.js', { size: 2, mtime: 2 })],
+        ['mkdir',  'd/',     directory('d/')],
+        ['create', 'd/e.js', file('d/e.js', { size: 1, mtime: 1 })],
+      ]);
+
+      expect(FSTree.invertPatch(patch, before)).to.deep.equal([
+        ['unlink', 'd/e.js', file('d/e.js', { size: 1, mtime: 1 })],
+        ['rmdir',  'd/',     directory('d/')],
+        ['change', 'c.js',   file('c.js', { size: 1, mtime: 1 })],
+        ['mkdir',  'a/',     directory('a/')],
+        ['create', 'a/b.js', file('a/b.js', { size: 1, mtime: 1 })],
+      ]);
+    });
+
+    it('inverts renames', function() {
+      var before = FSTree.fromEntries([
+        file('a.js', { size: 1, mtime: 1 }),
+      ]);
+      var after = FSTree.fromEntries([
+        file('b.js', { size: 1, mtime: 1 }),
+      ]);
+
+      var patch = before.calculatePatch(after, null, { detectRenames: true });
+
+      expect(FSTree.invertPatch(patch, before)).to.deep.equal([
+        ['rename', 'a.js', file('a.js', { size: 1, mtime: 1 }), file('b.js', { size: 1, mtime: 1 })],
+      ]);
+    });
+
+    it('produces a patch which restores the original tree', function() {
+      var before = FSTree.fromPaths([
+        'subdir1/',
+        'subdir1/foo',
+        'x.js',
+      ]);
+      var after = FSTree.fromPaths([
+        'subdir1',
+        'y/',
+        'y/z.js',
+      ]);
+      var patch = before.calculatePatch(after);
+      var paths = before.entries.map(by('relativePath'));
+
+      // replays operations against `paths`, checking they are safely ordered
+      var delegate = {
+        unlink: remove,
+        rmdir: remove,
+        mkdir: add,
+        create: add,
+      };
+
+      function add(inputPath, outputPath, relativePath) {
+        expect(paths).to.not.include(relativePath.replace(/\/$/, ''));
+        expect(paths).to.not.include(relativePath.replace(/\/?$/, '/'));
+        paths.push(relativePath);
+      }
+
+      function remove(inputPath, outputPath, relativePath) {
+        paths.forEach(function(other) {
+          expect(other.indexOf(relativePath) !== 0 || other === relativePath).to.equal(true);
+        });
+        paths.splice(paths.indexOf(relativePath), 1);
+      }
+
+      FSTree.applyPatch('', '', patch, delegate);
+      expect(paths.sort()).to.deep.equal(after.entries.map(by('relativePath')));
+
+      FSTree.applyPatch('', '', FSTree.invertPatch(patch, before), delegate);
+      expect(paths.sort()).to.deep.equal(before.entries.map(by('relativePath')));
+    });
+
+    it('finds restored entries by the original tree\'s comparator', function() {
+      var before = FSTree.fromEntries([
+        file('A.js', { size: 1, mtime: 1 }),
+      ], { caseSensitive: false });
+
+      expect(FSTree.invertPatch([
+        ['change', 'a.js', file('a.js', { size: 2, mtime: 2 })],
+      ], before)).to.deep.equal([
+        ['change', 'a.js', file('A.js', { size: 1, mtime: 1 })],
+      ]);
+    });
+
+    it('throws when a restored entry is missing from the original tree', function() {
+      expect(function() {
+        FSTree.invertPatch([['unlink', 'a.js', file('a.js')]], FSTree.fromPaths([]));
+      }).to.throw('Unable to invert patch operation: unlink `a.js`. `a.js` is not in the tree the patch was calculated from.');
+    });
+
+    it('throws on unknown operations', function() {
+      expect(function() {
+        FSTree.invertPatch([['delete', 'a.js']], FSTree.fromPaths([]));
+      }).to.throw('Unable to invert patch operation: delete. Only `create`, `unlink`, `mkdir`, `rmdir`, `change`, `rename`, `symlink` operations can be inverted.');
+    });
+  });
+
+  describe('.composePatches', function() {
+    it('returns an empty patch for no patches', function() {
+      expect(FSTree.composePatches([])).to.deep.equal([]);
+    });
+
+    it('produces patches which apply in order', function() {
+      var random = seededRandom(2);
+
+      for (var i = 0; i < 1000; i++) {
+        var first = randomTree(random);
+        var second = randomTree(random);
+        var third = randomTree(random);
+        var patch = FSTree.composePatches([
+          first.calculatePatch(second, null, { detectRenames: true }),
+          second.calculatePatch(third, null, { detectRenames: true }),
+        ]);
+
+        expect(replayPatch(first, patch)).to.deep.equal(pathsOf(third));
+      }
+    });
+
+    it('matches the patch calculated between the first and last trees', function() {
+      var first = FSTree.fromPaths([
+        'a/',
+        'a/b.js',
+        'c.js',
+      ]);
+      var second = FSTree.fromPaths([
+        'a/',
+        'a/b.js',
+        'd/',
+        'd/e.js',
+      ]);
+      var third = FSTree.fromPaths([
+        'd/',
+        'd/e.js',
+        'd/g/',
+        'f.js',
+      ]);
+
+      expect(FSTree.composePatches([
+        first.calculatePatch(second),
+        second.calculatePatch(third),
+      ])).to.deep.equal(first.calculatePatch(third));
+    });
+
+    it('cancels out a create followed by an unlink', function() {
+      expect(FSTree.composePatches([
+        [['mkdir', 'a/', directory('a/')], ['create', 'a/b.js', file('a/b.js')]],
+        [['unlink', 'a/b.js', file('a/b.js')], ['rmdir', 'a/', directory('a/')]],
+      ])).to.deep.equal([]);
+    });
+
+    it('squashes changes into earlier creates', function() {
+      expect(FSTree.composePatches([
+        [['create', 'a.js', file('a.js', { size: 1 })]],
+        [['change', 'a.js', file('a.js', { size: 2 })]],
+        [['change', 'a.js', file('a.js', { size: 3 })]],
+      ])).to.deep.equal([
+        ['create', 'a.js', file('a.js', { size: 3 })],
+      ]);
+    });
+
+    it('turns an unlink followed by a create into a change', function() {
+      expect(FSTree.composePatches([
+        [['unlink', 'a.js', file('a.js', { size: 1 })]],
+        [['create', 'a.js', file('a.js', { size: 2 })]],
+      ])).to.deep.equal([
+        ['change', 'a.js', file('a.js', { size: 2 })],
+      ]);
+    });
+
+    it('removes changed files with the entry they had before the first patch', function() {
+      expect(FSTree.composePatches([
+        [['unlink', 'a.js', file('a.js', { size: 1 })]],
+      ])).to.deep.equal([
+        ['unlink', 'a.js', file('a.js', { size: 1 })],
+      ]);
+
+      expect(FSTree.composePatches([
+        [['change', 'a.js', file('a.js', { size: 2 })]],
+        [['unlink', 'a.js', file('a.js', { size: 2 })]],
+      ])).to.deep.equal([
+        ['unlink', 'a.js', file('a.js', { size: 2 })],
+      ]);
+    });
+
+    it('only includes directory changes from explicit change operations', function() {
+      expect(FSTree.composePatches([
+        [['unlink', 'a/b.js', file('a/b.js')], ['rmdir', 'a/', directory('a/')]],
+        [['mkdir', 'a/', directory('a/')]],
+      ])).to.deep.equal([
+        ['unlink', 'a/b.js', file('a/b.js')],
+      ]);
+
+      expect(FSTree.composePatches([
+        [['change', 'a/', directory('a/', { meta: { link: true } })]],
+        [['create', 'a/b.js', file('a/b.js')]],
+      ])).to.deep.equal([
+        ['change', 'a/', directory('a/', { meta: { link: true } })],
+        ['create', 'a/b.js', file('a/b.js')],
+      ]);
+    });
+
+    it('orders type changes as calculatePatch does', function() {
+      expect(FSTree.composePatches([
+        [['unlink', 'a/b', file('a/b')], ['rmdir', 'a/', directory('a/')]],
+        [['create', 'a', file('a')]],
+      ])).to.deep.equal([
+        ['unlink', 'a/b', file('a/b')],
+        ['rmdir',  'a/',  directory('a/')],
+        ['create', 'a',   file('a')],
+      ]);
+    });
+
+    it('follows chains of renames', function() {
+      var a = file('a.js', { size: 1 });
+      var b = file('b.js', { size: 1 });
+      var c = file('dir/c.js', { size: 1 });
+
+      expect(FSTree.composePatches([
+        [['rename', 'b.js', b, a]],
+        [['mkdir', 'dir/', directory('dir/')], ['rename', 'dir/c.js', c, b]],
+      ])).to.deep.equal([
+        ['mkdir', 'dir/', directory('dir/')],
+        ['rename', 'dir/c.js', c, a],
+      ]);
+
+      expect(FSTree.composePatches([
+        [['rename', 'b.js', b, a]],
+        [['rename', 'a.js', a, b]],
+      ])).to.deep.equal([]);
+    });
+
+    it('does not rename content which was changed or replaced', function() {
+      var a = file('a.js', { size: 1 });
+      var b = file('b.js', { size: 1 });
+
+      expect(FSTree.composePatches([
+        [['rename', 'b.js', b, a]],
+        [['change', 'b.js', file('b.js', { size: 2 })]],
+      ])).to.deep.equal([
+        ['unlink', 'a.js', a],
+        ['create', 'b.js', file('b.js', { size: 2 })],
+      ]);
+
+      expect(FSTree.composePatches([
+        [['rename', 'b.js', b, a]],
+        [['create', 'a.js', file('a.js', { size: 2 })]],
+      ])).to.deep.equal([
+        ['change', 'a.js', file('a.js', { size: 2 })],
+        ['create', 'b.js', b],
+      ]);
+    });
+
+    it('throws on operations inconsistent with the preceding patches', function() {
+      expect(function() {
+        FSTree.composePatches([
+          [['create', 'a.js', file('a.js')]],
+          [['create', 'a.js', file('a.js')]],
+        ]);
+      }).to.throw('Unable to compose patch operation: create `a.js` in patch 1, as `a.js` already exists after the preceding operations.');
+
+      expect(function() {
+        FSTree.composePatches([
+          [['unlink', 'a.js', file('a.js')]],
+          [['change', 'a.js', file('a.js')]],
+        ]);
+      }).to.throw('Unable to compose patch operation: change `a.js` in patch 1, as `a.js` does not exist after the preceding operations.');
+    });
+
+    it('compares paths as the trees did', function() {
+      var patches = [
+        [['create', 'B.js', file('B.js')], ['create', 'a.js', file('a.js')]],
+        [['change', 'A.js', file('A.js', { size: 1 })]],
+      ];
+
+      expect(FSTree.composePatches(patches, { caseSensitive: false })).to.deep.equal([
+        ['create', 'a.js', file('A.js', { size: 1 })],
+        ['create', 'B.js', file('B.js')],
+      ]);
+    });
+
+    it('throws on unknown operations', function() {
+      expect(function() {
+        FSTree.composePatches([[['delete', 'a.js']]]);
+      }).to.throw('Unable to compose patch operation: delete. Only `create`, `unlink`, `mkdir`, `rmdir`, `change`, `rename`, `symlink` operations can be composed.');
+    });
+  });
+
+  describe('.applyPatch', function() {
+    var inputDir = 'tmp/fixture/input';
+    var outputDir = 'tmp/fixture/output';
+
+    beforeEach(function() {
+      fs.mkdirpSync(inputDir);
+      fs.mkdirpSync(outputDir);
+    });
+
+    afterEach(function() {
+      fs.removeSync('tmp');
+    });
+
+    it('applies all types of operations', function() {
+      var firstTree = FSTree.fromEntries(walkSync.entries(inputDir));
+
+      var fooIndex = path.join(inputDir, 'foo/index.js');
+      var barIndex = path.join(inputDir, 'bar/index.js');
+      var barOutput = path.join(outputDir, 'bar/index.js')
+
+      fs.outputFileSync(fooIndex, 'foo'); // mkdir + create
+      fs.outputFileSync(barIndex, 'bar'); // mkdir + create
+
+      var secondTree = FSTree.fromEntries(walkSync.entries(inputDir));
+      var patch = firstTree.calculatePatch(secondTree);
+
+      FSTree.applyPatch(inputDir, outputDir, patch);
       expect(walkSync(outputDir)).to.deep.equal([
         'bar/',
         'bar/index.js',
@@ -964,6 +2561,442 @@ describe('FSTree', function() {
       });
     });
 
+    it('applies rename operations', function() {
+      fs.outputFileSync(path.join(inputDir, 'a/b.js'), 'b');
+
+      var firstTree = FSTree.fromFileSystem(inputDir);
+      FSTree.applyPatch(inputDir, outputDir, new FSTree().calculatePatch(firstTree));
+
+      fs.mkdirpSync(path.join(inputDir, 'c'));
+      fs.renameSync(path.join(inputDir, 'a/b.js'), path.join(inputDir, 'c/d.js'));
+      fs.removeSync(path.join(inputDir, 'a'));
+
+      var secondTree = FSTree.fromFileSystem(inputDir);
+      var patch = firstTree.calculatePatch(secondTree, null, { detectRenames: true });
+
+      expect(patch.map(function(operation) { return operation[0]; })).to.deep.equal([
+        'mkdir',
+        'rename',
+        'rmdir',
+      ]);
+
+      FSTree.applyPatch(inputDir, outputDir, patch);
+
+      expect(walkSync(outputDir)).to.deep.equal([
+        'c/',
+        'c/d.js'
+      ]);
+      expect(fs.readFileSync(path.join(outputDir, 'c/d.js'), 'utf-8')).to.equal('b');
+    });
+
+    it('applies symlink operations', function() {
+      fs.outputFileSync(path.join(inputDir, 'a.js'), 'a');
+      fs.symlinkSync('a.js', path.join(inputDir, 'link.js'));
+
+      var firstTree = FSTree.fromFileSystem(inputDir, { followSymlinks: false });
+
+      FSTree.applyPatch(inputDir, outputDir, FSTree.fromPaths([]).calculatePatch(firstTree));
+
+      expect(fs.readlinkSync(path.join(outputDir, 'link.js'))).to.equal('a.js');
+
+      fs.unlinkSync(path.join(inputDir, 'link.js'));
+      fs.symlinkSync('b.js', path.join(inputDir, 'link.js'));
+
+      var secondTree = FSTree.fromFileSystem(inputDir, { followSymlinks: false });
+
+      FSTree.applyPatch(inputDir, outputDir, firstTree.calculatePatch(secondTree));
+
+      expect(fs.readlinkSync(path.join(outputDir, 'link.js'))).to.equal('b.js');
+    });
+
+    it('passes the link target to the symlink delegate', function() {
+      var calls = [];
+      var entry = new Entry('a.js', 4, 1, 41453);
+
+      entry.linkTarget = 'b.js';
+
+      FSTree.applyPatch(inputDir, outputDir, [
+        ['symlink', 'a.js', entry]
+      ], {
+        symlink: function() {
+          calls.push(Array.prototype.slice.call(arguments));
+        }
+      });
+
+      expect(calls).to.deep.equal([
+        [inputDir + '/a.js', outputDir + '/a.js', 'a.js', 'b.js']
+      ]);
+    });
+
+    it('resolves input paths against the input directory of each entry\'s source tree', function() {
+      var otherInputDir = 'tmp/fixture/other';
+
+      fs.outputFileSync(path.join(inputDir, 'a/b.js'), 'b');
+      fs.outputFileSync(path.join(otherInputDir, 'a/c.js'), 'c');
+
+      var merged = FSTree.merge([
+        FSTree.fromFileSystem(inputDir),
+        FSTree.fromFileSystem(otherInputDir),
+      ]);
+
+      FSTree.applyPatch([inputDir, otherInputDir], outputDir, FSTree.fromPaths([]).calculatePatch(merged));
+
+      expect(walkSync(outputDir)).to.deep.equal([
+        'a/',
+        'a/b.js',
+        'a/c.js'
+      ]);
+      expect(fs.readFileSync(path.join(outputDir, 'a/c.js'), 'utf-8')).to.equal('c');
+    });
+
+    it('passes the source paths to the rename delegate', function() {
+      var calls = [];
+
+      FSTree.applyPatch(inputDir, outputDir, [
+        ['rename', 'c/d.js', new Entry('c/d.js', 1, 1), new Entry('a/b.js', 1, 1)]
+      ], {
+        rename: function() {
+          calls.push(Array.prototype.slice.call(arguments));
+        }
+      });
+
+      expect(calls).to.deep.equal([
+        [inputDir + '/c/d.js', outputDir + '/c/d.js', 'c/d.js', outputDir + '/a/b.js', 'a/b.js']
+      ]);
+    });
+
+    context('with dryRun', function() {
+      it('returns a plan without calling the delegate', function() {
+        var calls = 0;
+        var entry = file('a/b.js');
+
+        fs.outputFileSync(path.join(inputDir, 'a/b.js'), 'b');
+
+        var plan = FSTree.applyPatch(inputDir, outputDir, [
+          ['mkdir', 'a/', directory('a/')],
+          ['create', 'a/b.js', entry],
+        ], {
+          mkdir: function() { calls++; },
+          create: function() { calls++; }
+        }, { dryRun: true });
+
+        expect(calls).to.equal(0);
+        expect(walkSync(outputDir)).to.deep.equal([]);
+        expect(plan).to.deep.equal({
+          operations: [{
+            operation: 'mkdir',
+            relativePath: 'a/',
+            inputPath: inputDir + '/a/',
+            outputPath: outputDir + '/a/',
+            entry: directory('a/'),
+            problems: [],
+          }, {
+            operation: 'create',
+            relativePath: 'a/b.js',
+            inputPath: inputDir + '/a/b.js',
+            outputPath: outputDir + '/a/b.js',
+            entry: entry,
+            problems: [],
+          }],
+          problems: [],
+        });
+      });
+
+      it('flags problems applying each operation would hit', function() {
+        fs.outputFileSync(path.join(inputDir, 'exists.js'), '');
+        fs.outputFileSync(path.join(outputDir, 'exists.js'), '');
+        fs.outputFileSync(path.join(outputDir, 'full/file.js'), '');
+
+        var plan = FSTree.applyPatch(inputDir, outputDir, [
+          ['rmdir', 'full/', directory('full/')],
+          ['unlink', 'missing.js', file('missing.js')],
+          ['create', 'exists.js', file('exists.js')],
+          ['create', 'missing.js', file('missing.js')],
+          ['create', 'nodir/exists.js', file('nodir/exists.js')],
+          ['delete', 'exists.js'],
+        ], {}, { dryRun: true });
+
+        expect(plan.operations.map(by('problems'))).to.deep.equal([
+          ['output directory `' + outputDir + '/full/` is not empty'],
+          ['output `' + outputDir + '/missing.js` does not exist'],
+          ['output `' + outputDir + '/exists.js` already exists'],
+          ['input `' + inputDir + '/missing.js` does not exist'],
+          [
+            'input `' + inputDir + '/nodir/exists.js` does not exist',
+            'output directory `' + outputDir + '/nodir/` does not exist',
+          ],
+          ['Unable to apply patch operation: delete. The value of delegate.delete is of type undefined, and not a function. Check the `delegate` argument to `FSTree.prototype.applyPatch`.'],
+        ]);
+        expect(plan.problems[0]).to.deep.equal({
+          operation: 'rmdir',
+          relativePath: 'full/',
+          message: 'output directory `' + outputDir + '/full/` is not empty',
+        });
+        expect(plan.problems).to.have.length(7);
+      });
+
+      it('accounts for the effects of preceding operations', function() {
+        fs.outputFileSync(path.join(inputDir, 'new/b.js'), '');
+        fs.outputFileSync(path.join(outputDir, 'old/a.js'), '');
+        fs.outputFileSync(path.join(outputDir, 'old/c.js'), '');
+
+        var plan = FSTree.applyPatch(inputDir, outputDir, [
+          ['unlink', 'old/a.js', file('old/a.js')],
+          ['rename', 'new/b.js', file('new/b.js'), file('old/c.js')],
+          ['rmdir', 'old/', directory('old/')],
+          ['mkdir', 'new/', directory('new/')],
+          ['create', 'new/b.js', file('new/b.js')],
+          ['unlink', 'new/b.js', file('new/b.js')],
+        ], {}, { dryRun: true });
+
+        expect(plan.operations.map(by('problems'))).to.deep.equal([
+          [],
+          ['output directory `' + outputDir + '/new/` does not exist'],
+          [],
+          [],
+          ['output `' + outputDir + '/new/b.js` already exists'],
+          [],
+        ]);
+        expect(plan.operations[1].fromRelativePath).to.equal('old/c.js');
+        expect(plan.operations[1].fromOutputPath).to.equal(outputDir + '/old/c.js');
+      });
+    });
+
+    context('with transactional', function() {
+      var delegate = {
+        create: function(inputPath, outputPath) {
+          if (/fail/.test(outputPath)) {
+            throw new Error('create failed');
+          }
+
+          fs.writeFileSync(outputPath, 'created');
+        },
+        change: function(inputPath, outputPath) {
+          fs.writeFileSync(outputPath, 'changed');
+        }
+      };
+
+      var patch = [
+        ['unlink', 'dir/a.js', file('dir/a.js')],
+        ['rmdir', 'dir/', directory('dir/')],
+        ['unlink', 'link.js', file('link.js')],
+        ['change', 'b.js', file('b.js')],
+        ['mkdir', 'new/', directory('new/')],
+        ['create', 'new/c.js', file('new/c.js')],
+        ['create', 'dir', file('dir')],
+      ];
+
+      function outputContents() {
+        return walkSync(outputDir).map(function(relativePath) {
+          var fullPath = path.join(outputDir, relativePath);
+          var stat = fs.lstatSync(fullPath);
+
+          if (stat.isSymbolicLink()) {
+            return relativePath + ' -> ' + fs.readlinkSync(fullPath);
+          } else if (stat.isFile()) {
+            return relativePath + ': ' + fs.readFileSync(fullPath, 'utf-8');
+          }
+
+          return relativePath;
+        });
+      }
+
+      beforeEach(function() {
+        fs.outputFileSync(path.join(outputDir, 'dir/a.js'), 'a');
+        fs.outputFileSync(path.join(outputDir, 'b.js'), 'b');
+        fs.symlinkSync('b.js', path.join(outputDir, 'link.js'));
+      });
+
+      it('applies the patch', function() {
+        FSTree.applyPatch(inputDir, outputDir, patch, delegate, { transactional: true });
+
+        expect(outputContents()).to.deep.equal([
+          'b.js: changed',
+          'dir: created',
+          'new/',
+          'new/c.js: created',
+        ]);
+      });
+
+      it('restores the output and identifies the failing operation on error', function() {
+        var failingPatch = patch.slice(0, -1).concat([
+          ['create', 'new/fail.js', file('new/fail.js')],
+        ]);
+        var before = outputContents();
+        var error;
+
+        try {
+          FSTree.applyPatch(inputDir, outputDir, failingPatch, delegate, { transactional: true });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.message).to.equal('Unable to apply patch operation: create `new/fail.js`: create failed. The output has been restored to its state before the patch.');
+        expect(error.operation).to.equal(failingPatch[failingPatch.length - 1]);
+        expect(error.cause.message).to.equal('create failed');
+        expect(outputContents()).to.deep.equal(before);
+        expect(before).to.deep.equal([
+          'b.js: b',
+          'dir/',
+          'dir/a.js: a',
+          'link.js -> b.js',
+        ]);
+      });
+
+      it('restores paths whose type changed', function() {
+        var error;
+
+        try {
+          FSTree.applyPatch(inputDir, outputDir, patch.concat([
+            ['unlink', 'dir', file('dir')],
+            ['mkdir', 'dir/', directory('dir/')],
+            ['create', 'dir/fail.js', file('dir/fail.js')],
+          ]), delegate, { transactional: true });
+        } catch (e) {
+          error = e;
+        }
+
+        expect(error.cause.message).to.equal('create failed');
+        expect(outputContents()).to.deep.equal([
+          'b.js: b',
+          'dir/',
+          'dir/a.js: a',
+          'link.js -> b.js',
+        ]);
+      });
+
+      it('is not used by default', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['unlink', 'b.js', file('b.js')],
+            ['create', 'fail.js', file('fail.js')],
+          ], delegate);
+        }).to.throw('create failed');
+
+        expect(outputContents()).to.deep.equal([
+          'dir/',
+          'dir/a.js: a',
+          'link.js -> b.js',
+        ]);
+      });
+    });
+
+    context('unsafe paths', function() {
+      var calls;
+      var delegate;
+
+      beforeEach(function() {
+        calls = [];
+        delegate = {};
+
+        ['unlink', 'rmdir', 'mkdir', 'change', 'create', 'rename', 'symlink'].forEach(function(method) {
+          delegate[method] = function(inputPath, outputPath) {
+            calls.push([method, outputPath]);
+          };
+        });
+      });
+
+      function symlink(relativePath, linkTarget) {
+        var entry = new Entry(relativePath, linkTarget.length, 1, 41453);
+        entry.linkTarget = linkTarget;
+        return entry;
+      }
+
+      it('refuses operations on paths outside of the output directory', function() {
+        [
+          ['create', '../a.js', file('../a.js')],
+          ['unlink', '/etc/passwd', file('/etc/passwd')],
+          ['mkdir', 'a/../../b/', directory('a/../../b/')],
+          ['change', 'a\\..\\..\\b.js', file('a\\..\\..\\b.js')],
+        ].forEach(function(operation) {
+          expect(function() {
+            FSTree.applyPatch(inputDir, outputDir, [operation], delegate);
+          }).to.throw('Unable to apply patch operation: ' + operation[0] + ' `' + operation[1] + '`. Invalid relativePath `' + operation[1] + '`');
+        });
+
+        expect(calls).to.deep.equal([]);
+      });
+
+      it('refuses renames from paths outside of the output directory', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['rename', 'a.js', file('a.js'), file('../a.js')],
+          ], delegate);
+        }).to.throw('Unable to apply patch operation: rename `a.js`. Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+
+        expect(calls).to.deep.equal([]);
+      });
+
+      it('refuses the whole patch before applying any of it', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['create', 'a.js', file('a.js')],
+            ['create', '../b.js', file('../b.js')],
+          ], delegate);
+        }).to.throw('Unable to apply patch operation: create `../b.js`. Invalid relativePath `../b.js`: paths must not contain `.` or `..` segments.');
+
+        expect(calls).to.deep.equal([]);
+      });
+
+      it('refuses symlinks whose targets leave the output directory', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['symlink', 'a', symlink('a', '/etc')],
+          ], delegate);
+        }).to.throw('Unable to apply patch operation: symlink `a`. The link target `/etc` is absolute.');
+
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['mkdir', 'a/', directory('a/')],
+            ['symlink', 'a/b', symlink('a/b', '../../etc')],
+          ], delegate);
+        }).to.throw('Unable to apply patch operation: symlink `a/b`. The link target `../../etc` resolves to `tmp/fixture/etc`, which is outside of the output directory `' + outputDir + '`.');
+
+        expect(calls).to.deep.equal([]);
+      });
+
+      it('refuses operations beneath symlinks the patch creates', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['symlink', 'a', symlink('a', 'b')],
+            ['create', 'a/passwd', file('a/passwd')],
+          ], delegate);
+        }).to.throw('Unable to apply patch operation: create `a/passwd`. `a` is a symlink created by the patch.');
+
+        expect(calls).to.deep.equal([]);
+
+        FSTree.applyPatch(inputDir, outputDir, [
+          ['symlink', 'a', symlink('a', 'b')],
+          ['unlink', 'a', symlink('a', 'b')],
+          ['mkdir', 'a/', directory('a/')],
+          ['create', 'a/passwd', file('a/passwd')],
+        ], delegate);
+
+        expect(calls.length).to.equal(4);
+      });
+
+      it('refuses unsafe paths when applying transactionally', function() {
+        fs.outputFileSync(path.join(outputDir, 'a.js'), 'a');
+
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['unlink', 'a.js', file('a.js')],
+            ['unlink', '../a.js', file('../a.js')],
+          ], undefined, { transactional: true });
+        }).to.throw('Unable to apply patch operation: unlink `../a.js`. Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+
+        expect(fs.readFileSync(path.join(outputDir, 'a.js'), 'utf8')).to.equal('a');
+      });
+
+      it('refuses unsafe paths in dry runs', function() {
+        expect(function() {
+          FSTree.applyPatch(inputDir, outputDir, [
+            ['create', '../a.js', file('../a.js')],
+          ], delegate, { dryRun: true });
+        }).to.throw('Unable to apply patch operation: create `../a.js`. Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+      });
+    });
+
     it('throws an error when a patch has an unknown operation type', function() {
       var patch = [ [ 'delete', '/foo.js' ] ];
       expect(function() {
@@ -972,6 +3005,256 @@ describe('FSTree', function() {
     });
   });
 
+  describe('.applyPatchAsync', function() {
+    var inputDir = 'tmp/fixture/input';
+    var outputDir = 'tmp/fixture/output';
+
+    beforeEach(function() {
+      fs.mkdirpSync(inputDir);
+      fs.mkdirpSync(outputDir);
+    });
+
+    afterEach(function() {
+      fs.removeSync('tmp');
+    });
+
+    function delay(ms) {
+      return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+      });
+    }
+
+    // a delegate which records when each operation starts and finishes
+    function recordingDelegate(events, ms) {
+      var delegate = {};
+
+      ['unlink', 'rmdir', 'mkdir', 'change', 'create', 'rename'].forEach(function(method) {
+        delegate[method] = function(inputPath, outputPath, relativePath) {
+          events.push(['start', method, relativePath]);
+
+          return delay(ms).then(function() {
+            events.push(['end', method, relativePath]);
+          });
+        };
+      });
+
+      return delegate;
+    }
+
+    function indexOfEvent(events, event) {
+      for (var i = 0; i < events.length; i++) {
+        if (events[i].join(' ') === event.join(' ')) {
+          return i;
+        }
+      }
+
+      throw new Error('missing event: ' + event.join(' '));
+    }
+
+    function maxActive(events) {
+      var active = 0;
+      var max = 0;
+
+      events.forEach(function(event) {
+        active += event[0] === 'start' ? 1 : -1;
+        max = Math.max(max, active);
+      });
+
+      return max;
+    }
+
+    it('applies all types of operations', function() {
+      var firstTree = FSTree.fromEntries(walkSync.entries(inputDir));
+
+      fs.outputFileSync(path.join(inputDir, 'foo/index.js'), 'foo');
+      fs.outputFileSync(path.join(inputDir, 'bar/index.js'), 'bar');
+
+      var secondTree = FSTree.fromEntries(walkSync.entries(inputDir));
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, firstTree.calculatePatch(secondTree)).then(function() {
+        expect(walkSync(outputDir)).to.deep.equal([
+          'bar/',
+          'bar/index.js',
+          'foo/',
+          'foo/index.js'
+        ]);
+
+        fs.removeSync(path.join(inputDir, 'foo'));
+
+        var thirdTree = FSTree.fromEntries(walkSync.entries(inputDir));
+
+        return FSTree.applyPatchAsync(inputDir, outputDir, secondTree.calculatePatch(thirdTree));
+      }).then(function() {
+        expect(walkSync(outputDir)).to.deep.equal([
+          'bar/',
+          'bar/index.js'
+        ]);
+      });
+    });
+
+    it('waits for promise-returning delegates while preserving patch ordering', function() {
+      var events = [];
+      var patch = [
+        ['unlink', 'a/b/c.js'],
+        ['unlink', 'a/d.js'],
+        ['rmdir', 'a/b/'],
+        ['rmdir', 'a/'],
+        ['mkdir', 'e/'],
+        ['create', 'e/f.js'],
+        ['create', 'e/g.js'],
+        ['create', 'h.js'],
+      ];
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, patch, recordingDelegate(events, 5)).then(function() {
+        expect(events.length).to.equal(16);
+
+        function before(a, b) {
+          expect(indexOfEvent(events, ['end'].concat(a))).to.be.below(indexOfEvent(events, ['start'].concat(b)));
+        }
+
+        before(['unlink', 'a/b/c.js'], ['rmdir', 'a/b/']);
+        before(['unlink', 'a/d.js'], ['rmdir', 'a/']);
+        before(['rmdir', 'a/b/'], ['rmdir', 'a/']);
+        before(['mkdir', 'e/'], ['create', 'e/f.js']);
+        before(['mkdir', 'e/'], ['create', 'e/g.js']);
+
+        expect(maxActive(events)).to.be.above(1);
+      });
+    });
+
+    it('orders operations on a path which changes between file and directory', function() {
+      var events = [];
+      var patch = [
+        ['unlink', 'a/b'],
+        ['rmdir', 'a/'],
+        ['create', 'a'],
+      ];
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, patch, recordingDelegate(events, 1)).then(function() {
+        expect(maxActive(events)).to.equal(1);
+        expect(events.map(function(event) { return event.join(' '); })).to.deep.equal([
+          'start unlink a/b',
+          'end unlink a/b',
+          'start rmdir a/',
+          'end rmdir a/',
+          'start create a',
+          'end create a',
+        ]);
+      });
+    });
+
+    it('orders renames after operations on either path', function() {
+      var events = [];
+      var patch = [
+        ['unlink', 'a/c.js'],
+        ['mkdir', 'b/'],
+        ['rename', 'b/d.js', new Entry('b/d.js', 1, 1), new Entry('a/d.js', 1, 1)],
+        ['rmdir', 'a/'],
+      ];
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, patch, recordingDelegate(events, 1)).then(function() {
+        function before(a, b) {
+          expect(indexOfEvent(events, ['end'].concat(a))).to.be.below(indexOfEvent(events, ['start'].concat(b)));
+        }
+
+        before(['mkdir', 'b/'], ['rename', 'b/d.js']);
+        before(['rename', 'b/d.js'], ['rmdir', 'a/']);
+        before(['unlink', 'a/c.js'], ['rmdir', 'a/']);
+      });
+    });
+
+    it('bounds the number of concurrent operations', function() {
+      var events = [];
+      var patch = [];
+
+      for (var i = 0; i < 10; i++) {
+        patch.push(['create', i + '.js']);
+      }
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, patch, recordingDelegate(events, 1), {
+        concurrency: 3
+      }).then(function() {
+        expect(events.length).to.equal(20);
+        expect(maxActive(events)).to.equal(3);
+      });
+    });
+
+    it('rejects with the first error, without starting further operations', function() {
+      var events = [];
+      var delegate = recordingDelegate(events, 1);
+
+      delegate.unlink = function() {
+        return Promise.reject(new Error('unlink failed'));
+      };
+
+      var patch = [
+        ['unlink', 'a/b.js'],
+        ['rmdir', 'a/'],
+      ];
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, patch, delegate).then(function() {
+        throw new Error('expected a rejection');
+      }, function(error) {
+        expect(error.message).to.equal('unlink failed');
+        expect(events).to.deep.equal([]);
+      });
+    });
+
+    it('rejects when a patch has an unknown operation type', function() {
+      return FSTree.applyPatchAsync(inputDir, outputDir, [['delete', 'foo.js']]).then(function() {
+        throw new Error('expected a rejection');
+      }, function(error) {
+        expect(error.message).to.equal('Unable to apply patch operation: delete. The value of delegate.delete is of type undefined, and not a function. Check the `delegate` argument to `FSTree.prototype.applyPatch`.');
+      });
+    });
+
+    it('rejects on unsafe paths', function() {
+      return FSTree.applyPatchAsync(inputDir, outputDir, [['create', '../a.js', file('../a.js')]]).then(function() {
+        throw new Error('expected a rejection');
+      }, function(error) {
+        expect(error.message).to.equal('Unable to apply patch operation: create `../a.js`. Invalid relativePath `../a.js`: paths must not contain `.` or `..` segments.');
+        expect(fs.existsSync('tmp/fixture/a.js')).to.equal(false);
+      });
+    });
+
+    it('rejects unsafe patches before applying any of them', function() {
+      var calls = [];
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, [
+        ['mkdir', 'a/', directory('a/')],
+        ['create', '../b.js', file('../b.js')],
+      ], {
+        mkdir: function(inputPath, outputPath) {
+          calls.push(outputPath);
+        },
+      }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(error) {
+        expect(error.message).to.equal('Unable to apply patch operation: create `../b.js`. Invalid relativePath `../b.js`: paths must not contain `.` or `..` segments.');
+        expect(calls).to.deep.equal([]);
+      });
+    });
+
+    it('accepts null options', function() {
+      fs.outputFileSync(inputDir + '/a.js', 'a');
+
+      return FSTree.applyPatchAsync(inputDir, outputDir, [
+        ['create', 'a.js', file('a.js')],
+      ], {}, null).then(function() {
+        expect(fs.readFileSync(outputDir + '/a.js', 'utf8')).to.equal('a');
+      });
+    });
+
+    it('rejects on an invalid concurrency', function() {
+      return FSTree.applyPatchAsync(inputDir, outputDir, [], {}, { concurrency: 0 }).then(function() {
+        throw new Error('expected a rejection');
+      }, function(error) {
+        expect(error).to.be.an.instanceOf(TypeError);
+        expect(error.message).to.equal('Expected `concurrency` to be a number >= 1 but was `0` instead.');
+      });
+    });
+  });
+
   describe('.calculateAndApplyPatch', function() {
     var inputDir = 'tmp/fixture/input';
     var outputDir = 'tmp/fixture/output';
@@ -1006,6 +3289,22 @@ describe('FSTree', function() {
       ]);
     });
 
+    it('supports dryRun', function() {
+      var firstTree = FSTree.fromEntries(walkSync.entries(inputDir));
+
+      fs.outputFileSync(path.join(inputDir, 'foo/index.js'), 'foo');
+
+      var secondTree = FSTree.fromEntries(walkSync.entries(inputDir));
+      var plan = firstTree.calculateAndApplyPatch(secondTree, inputDir, outputDir, undefined, { dryRun: true });
+
+      expect(walkSync(outputDir)).to.deep.equal([]);
+      expect(plan.operations.map(by('relativePath'))).to.deep.equal([
+        'foo/',
+        'foo/index.js'
+      ]);
+      expect(plan.problems).to.deep.equal([]);
+    });
+
     it('calculates and applies a patch properly with custom delegates', function() {
       var stats = {
         mkdir: 0,
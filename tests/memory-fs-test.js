@@ -0,0 +1,217 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var toBuffer = require('../lib/util').toBuffer;
+
+var MemoryFileSystem = FSTree.MemoryFileSystem;
+
+require('chai').config.truncateThreshold = 0;
+
+describe('MemoryFileSystem', function() {
+  var memoryFs;
+
+  beforeEach(function() {
+    memoryFs = new MemoryFileSystem({
+      'a.js': 'a',
+      'lib/b.js': 'bb',
+      'empty/': null,
+    });
+  });
+
+  function codeOf(fn) {
+    try {
+      fn();
+    } catch (e) {
+      return e.code;
+    }
+
+    throw new Error('expected an error');
+  }
+
+  it('reads the files it was created with', function() {
+    expect(memoryFs.readdir('')).to.deep.equal(['a.js', 'empty', 'lib']);
+    expect(memoryFs.readdir('/lib')).to.deep.equal(['b.js']);
+    expect(memoryFs.readFile('lib/b.js', 'utf8')).to.equal('bb');
+    expect(memoryFs.readFile('/a.js')).to.deep.equal(toBuffer('a'));
+  });
+
+  it('stats files and directories', function() {
+    var stats = memoryFs.stat('lib/b.js');
+
+    expect(stats.size).to.equal(2);
+    expect(stats.mode).to.equal(33188);
+    expect(stats.mtime).to.be.an.instanceOf(Date);
+    expect(stats.isFile()).to.equal(true);
+    expect(stats.isDirectory()).to.equal(false);
+    expect(memoryFs.stat('lib').isDirectory()).to.equal(true);
+  });
+
+  it('writes, renames and removes files and directories', function() {
+    memoryFs.writeFile('lib/c.js', 'c', { mtime: new Date(1000) });
+    memoryFs.rename('lib/b.js', 'empty/b.js');
+    memoryFs.unlink('a.js');
+    memoryFs.mkdir('new');
+    memoryFs.rmdir('new');
+
+    expect(memoryFs.readdir('')).to.deep.equal(['empty', 'lib']);
+    expect(memoryFs.readdir('lib')).to.deep.equal(['c.js']);
+    expect(memoryFs.readFile('empty/b.js', 'utf8')).to.equal('bb');
+    expect(+memoryFs.stat('lib/c.js').mtime).to.equal(1000);
+  });
+
+  it('follows symlinks', function() {
+    memoryFs.symlink('../a.js', 'lib/link.js');
+    memoryFs.symlink('lib', 'dir');
+
+    expect(memoryFs.readFile('lib/link.js', 'utf8')).to.equal('a');
+    expect(memoryFs.readFile('dir/b.js', 'utf8')).to.equal('bb');
+    expect(memoryFs.readlink('lib/link.js')).to.equal('../a.js');
+    expect(memoryFs.lstat('lib/link.js').isSymbolicLink()).to.equal(true);
+    expect(memoryFs.stat('lib/link.js').isFile()).to.equal(true);
+  });
+
+  it('writes through symlinks', function() {
+    memoryFs.symlink('a.js', 'link.js');
+    memoryFs.symlink('../lib/new.js', 'empty/dangling.js');
+
+    memoryFs.writeFile('link.js', 'written');
+    memoryFs.writeFile('empty/dangling.js', 'created');
+
+    expect(memoryFs.readFile('a.js', 'utf8')).to.equal('written');
+    expect(memoryFs.lstat('link.js').isSymbolicLink()).to.equal(true);
+    expect(memoryFs.readFile('lib/new.js', 'utf8')).to.equal('created');
+    expect(memoryFs.lstat('empty/dangling.js').isSymbolicLink()).to.equal(true);
+  });
+
+  it('throws errors as fs does', function() {
+    expect(function() {
+      memoryFs.readFile('missing.js');
+    }).to.throw('ENOENT: no such file or directory, open \'missing.js\'');
+
+    expect(codeOf(function() { memoryFs.readFile('lib'); })).to.equal('EISDIR');
+    expect(codeOf(function() { memoryFs.readdir('a.js'); })).to.equal('ENOTDIR');
+    expect(codeOf(function() { memoryFs.mkdir('lib'); })).to.equal('EEXIST');
+    expect(codeOf(function() { memoryFs.mkdir('missing/dir'); })).to.equal('ENOENT');
+    expect(codeOf(function() { memoryFs.rmdir('lib'); })).to.equal('ENOTEMPTY');
+    expect(codeOf(function() { memoryFs.unlink('lib'); })).to.equal('EISDIR');
+    expect(codeOf(function() { memoryFs.writeFile('a.js/b.js', ''); })).to.equal('ENOTDIR');
+
+    expect(codeOf(function() { memoryFs.rename('lib', 'lib/sub'); })).to.equal('EINVAL');
+    expect(memoryFs.readdir('lib')).to.deep.equal(['b.js']);
+
+    memoryFs.symlink('lib', 'dir');
+
+    expect(codeOf(function() { memoryFs.rename('lib', 'dir/sub'); })).to.equal('EINVAL');
+
+    memoryFs.symlink('loop', 'loop');
+
+    expect(codeOf(function() { memoryFs.stat('loop'); })).to.equal('ELOOP');
+  });
+
+  describe('#entries', function() {
+    it('returns sorted entries', function() {
+      memoryFs.symlink('a.js', 'link.js');
+
+      var entries = memoryFs.entries('', { followSymlinks: false });
+
+      expect(entries.map(function(entry) {
+        return entry.relativePath;
+      })).to.deep.equal(['a.js', 'empty/', 'lib/', 'lib/b.js', 'link.js']);
+      expect(entries[4].linkTarget).to.equal('a.js');
+      expect(FSTree.fromEntries(memoryFs.entries('lib')).entries[0].size).to.equal(2);
+    });
+
+    it('skips broken symlinks and symlinks to the directories being walked', function() {
+      memoryFs.symlink('missing.js', 'broken.js');
+      memoryFs.symlink('..', 'lib/loop');
+
+      expect(memoryFs.entries('').map(function(entry) {
+        return entry.relativePath;
+      })).to.deep.equal(['a.js', 'empty/', 'lib/', 'lib/b.js']);
+      expect(memoryFs.entries('', { followSymlinks: false }).map(function(entry) {
+        return entry.relativePath;
+      })).to.deep.equal(['a.js', 'broken.js', 'empty/', 'lib/', 'lib/b.js', 'lib/loop']);
+    });
+  });
+
+  describe('#delegate', function() {
+    it('applies patches from another MemoryFileSystem', function() {
+      var output = new MemoryFileSystem({ 'dist/stale.js': 'stale' });
+      var before = FSTree.fromEntries(output.entries('dist'));
+      var after = FSTree.fromEntries(memoryFs.entries(''));
+      var patch = before.calculatePatch(after);
+
+      FSTree.applyPatch('', 'dist', patch, output.delegate({ input: memoryFs }));
+
+      expect(output.readdir('dist')).to.deep.equal(['a.js', 'empty', 'lib']);
+      expect(output.readFile('dist/lib/b.js', 'utf8')).to.equal('bb');
+
+      // copies keep their stats, so the output matches the input
+      expect(FSTree.fromEntries(output.entries('dist')).calculatePatch(after)).to.deep.equal([]);
+    });
+
+    it('applies renames and symlinks', function() {
+      var output = new MemoryFileSystem({ 'a.js': 'a' });
+
+      FSTree.applyPatch('', '', [
+        ['rename', 'b.js', { relativePath: 'b.js' }, { relativePath: 'a.js' }],
+        ['symlink', 'c.js', { relativePath: 'c.js', mode: 41471, linkTarget: 'b.js' }],
+      ], output.delegate({ input: memoryFs }));
+
+      expect(output.readdir('')).to.deep.equal(['b.js', 'c.js']);
+      expect(output.readFile('c.js', 'utf8')).to.equal('a');
+    });
+
+    it('is inspected, rather than disk, by dry runs', function() {
+      var output = new MemoryFileSystem({ 'dist/a.js': 'old' });
+      var plan = FSTree.applyPatch('', 'dist', [
+        ['create', 'a.js', { relativePath: 'a.js' }],
+        ['create', 'missing.js', { relativePath: 'missing.js' }],
+        ['unlink', 'gone.js', { relativePath: 'gone.js' }],
+      ], output.delegate({ input: memoryFs }), { dryRun: true });
+
+      expect(plan.problems).to.deep.equal([
+        { operation: 'create', relativePath: 'a.js', message: 'output `dist/a.js` already exists' },
+        { operation: 'create', relativePath: 'missing.js', message: 'input `missing.js` does not exist' },
+        { operation: 'unlink', relativePath: 'gone.js', message: 'output `dist/gone.js` does not exist' },
+      ]);
+    });
+
+    it('is restored when transactional patches fail', function() {
+      var output = new MemoryFileSystem({ 'dist/a.js': 'old' });
+      var delegate = output.delegate({ input: memoryFs });
+
+      delegate.unlink = function() {
+        throw new Error('unlink failed');
+      };
+
+      expect(function() {
+        FSTree.applyPatch('', 'dist', [
+          ['change', 'a.js', { relativePath: 'a.js' }],
+          ['mkdir', 'lib/', { relativePath: 'lib/' }],
+          ['create', 'lib/b.js', { relativePath: 'lib/b.js' }],
+          ['unlink', 'a.js', { relativePath: 'a.js' }],
+        ], delegate, { transactional: true });
+      }).to.throw('Unable to apply patch operation: unlink `a.js`: unlink failed. The output has been restored to its state before the patch.');
+
+      expect(output.readdir('dist')).to.deep.equal(['a.js']);
+      expect(output.readFile('dist/a.js', 'utf8')).to.equal('old');
+      expect(fs.existsSync('dist')).to.equal(false);
+    });
+
+    it('applies patches from disk', function() {
+      fs.outputFileSync('tmp/fixture/input/a.js', 'from disk');
+
+      var output = new MemoryFileSystem();
+      var patch = FSTree.fromEntries([]).calculatePatch(FSTree.fromFileSystem('tmp/fixture/input'));
+
+      return FSTree.applyPatchAsync('tmp/fixture/input', '', patch, output.delegate()).then(function() {
+        expect(output.readFile('a.js', 'utf8')).to.equal('from disk');
+      }).finally(function() {
+        fs.removeSync('tmp');
+      });
+    });
+  });
+});
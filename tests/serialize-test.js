@@ -0,0 +1,124 @@
+'use strict';
+
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var Entry = require('../lib/entry');
+
+require('chai').config.truncateThreshold = 0;
+
+describe('serialization', function() {
+  function entryWithMeta(relativePath, size, mtime, mode, meta) {
+    var entry = new Entry(relativePath, size, mtime, mode);
+    entry.meta = meta;
+    return entry;
+  }
+
+  describe('FSTree.serializePatch', function() {
+    it('serializes a patch to versioned JSON', function() {
+      var patch = [
+        ['mkdir', 'a/', new Entry('a/', 0, 0)],
+        ['create', 'a/b.js', new Entry('a/b.js', 1, new Date(1000), 33188)],
+      ];
+
+      expect(JSON.parse(FSTree.serializePatch(patch))).to.deep.equal({
+        version: 1,
+        type: 'patch',
+        operations: [
+          ['mkdir', 'a/', { relativePath: 'a/', size: 0, mtime: 0, mode: 16877 }],
+          ['create', 'a/b.js', { relativePath: 'a/b.js', size: 1, mtime: { $date: 1000 }, mode: 33188 }],
+        ],
+      });
+    });
+  });
+
+  describe('FSTree.deserializePatch', function() {
+    it('round-trips patches, including entry metadata and rename operations', function() {
+      var patch = [
+        ['unlink', 'a.js', entryWithMeta('a.js', 1, 1, 0, { rev: 1 })],
+        ['rename', 'c.js', new Entry('c.js', 2, new Date(2000), 33188), new Entry('b.js', 2, new Date(2000), 33188)],
+        ['change', 'd/', entryWithMeta('d/', 0, 0, 16877, { link: true })],
+        ['create', 'e.js'],
+      ];
+
+      var result = FSTree.deserializePatch(FSTree.serializePatch(patch));
+
+      expect(result).to.deep.equal(patch);
+      expect(result[0][2]).to.be.an.instanceOf(Entry);
+      expect(result[1][2].mtime).to.be.an.instanceOf(Date);
+      expect(result[2][2].isDirectory()).to.equal(true);
+    });
+
+    it('accepts parsed JSON', function() {
+      var patch = [['create', 'a.js', new Entry('a.js', 1, 1, 0)]];
+
+      expect(FSTree.deserializePatch(JSON.parse(FSTree.serializePatch(patch)))).to.deep.equal(patch);
+    });
+
+    it('throws on unsupported versions', function() {
+      expect(function() {
+        FSTree.deserializePatch({ version: 2, type: 'patch', operations: [] });
+      }).to.throw('Unsupported serialized patch version: `2`. Expected version `1`.');
+    });
+
+    it('throws on serialized trees', function() {
+      expect(function() {
+        FSTree.deserializePatch(JSON.stringify(FSTree.fromPaths(['a.js'])));
+      }).to.throw(TypeError, 'Expected a serialized patch but got `tree` instead.');
+    });
+  });
+
+  describe('FSTree.prototype.toJSON', function() {
+    it('serializes trees with JSON.stringify', function() {
+      var tree = FSTree.fromPaths(['a/', 'a/b.js']);
+
+      expect(JSON.parse(JSON.stringify(tree))).to.deep.equal({
+        version: 1,
+        type: 'tree',
+        entries: [
+          { relativePath: 'a/', size: 0, mtime: 0, mode: 16877 },
+          { relativePath: 'a/b.js', size: 0, mtime: 0, mode: 0 },
+        ],
+      });
+    });
+  });
+
+  describe('FSTree.fromJSON', function() {
+    it('round-trips trees', function() {
+      var tree = FSTree.fromEntries([
+        entryWithMeta('a/', 0, 0, 16877, { link: true }),
+        new Entry('a/b.js', 10, new Date(3000), 33188),
+      ]);
+
+      var result = FSTree.fromJSON(JSON.stringify(tree));
+
+      expect(result).to.be.an.instanceOf(FSTree);
+      expect(result.entries).to.deep.equal(tree.entries);
+      expect(result.calculatePatch(tree)).to.deep.equal([]);
+    });
+
+    it('accepts the result of toJSON', function() {
+      var tree = FSTree.fromPaths(['a.js']);
+
+      expect(FSTree.fromJSON(tree.toJSON()).entries).to.deep.equal(tree.entries);
+    });
+
+    it('validates the deserialized entries', function() {
+      expect(function() {
+        FSTree.fromJSON({
+          version: 1,
+          type: 'tree',
+          entries: [
+            { relativePath: 'b', size: 0, mtime: 0, mode: 0 },
+            { relativePath: 'a', size: 0, mtime: 0, mode: 0 },
+          ],
+        });
+      }).to.throw('expected entries[0]: `b` to be < entries[1]: `a`, but was not. Ensure your input is sorted and has no duplicate paths');
+    });
+
+    it('throws on malformed entries', function() {
+      expect(function() {
+        FSTree.fromJSON({ version: 1, type: 'tree', entries: [null] });
+      }).to.throw(TypeError, 'Expected a serialized entry but got `null` instead.');
+    });
+  });
+});
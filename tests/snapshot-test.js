@@ -0,0 +1,106 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var Entry = require('../lib/entry');
+
+require('chai').config.truncateThreshold = 0;
+
+describe('snapshots', function() {
+  var root = 'tmp/fixture/root';
+  var file = 'tmp/fixture/tree.snapshot';
+
+  beforeEach(function() {
+    fs.outputFileSync(root + '/a.js', 'a');
+    fs.outputFileSync(root + '/b/c.js', 'c');
+  });
+
+  afterEach(function() {
+    fs.removeSync('tmp');
+  });
+
+  describe('FSTree.prototype.saveSnapshot', function() {
+    it('writes a header and the entries as tuples', function() {
+      var entry = new Entry('a.js', 1, new Date(1000), 33188);
+      entry.digest = 'abc';
+
+      FSTree.fromEntries([entry, new Entry('a/', 0, 0)]).saveSnapshot(file);
+
+      var lines = fs.readFileSync(file, 'utf8').split('\n');
+
+      expect(JSON.parse(lines[0])).to.include({ version: 1, type: 'snapshot', algorithm: 'sha1', count: 2 });
+      expect(JSON.parse(lines[1])).to.deep.equal([
+        ['a.js', 1, 1000, 33188, { digest: 'abc' }],
+        ['a/', 0, 0, 16877],
+      ]);
+      expect(fs.readdirSync('tmp/fixture')).to.deep.equal(['root', 'tree.snapshot']);
+    });
+  });
+
+  describe('FSTree.loadSnapshot', function() {
+    it('round-trips trees read from disk', function() {
+      var tree = FSTree.fromFileSystem(root);
+
+      tree.saveSnapshot(file);
+
+      var result = FSTree.loadSnapshot(file);
+
+      expect(result).to.be.an.instanceOf(FSTree);
+      expect(result.entries).to.deep.equal(tree.entries);
+      expect(result.entries[0]).to.be.an.instanceOf(Entry);
+    });
+
+    it('can be diffed against the current tree after a restart', function() {
+      FSTree.fromFileSystem(root).saveSnapshot(file);
+
+      fs.outputFileSync(root + '/d.js', 'd');
+
+      expect(FSTree.loadSnapshot(file).calculatePatch(FSTree.fromFileSystem(root)).map(function(operation) {
+        return operation.slice(0, 2);
+      })).to.deep.equal([
+        ['create', 'd.js'],
+      ]);
+    });
+
+    it('throws on corrupted snapshots', function() {
+      FSTree.fromFileSystem(root).saveSnapshot(file);
+
+      var contents = fs.readFileSync(file, 'utf8');
+
+      fs.writeFileSync(file, contents.replace('c.js', 'd.js'));
+
+      expect(function() {
+        FSTree.loadSnapshot(file);
+      }).to.throw('Unable to load snapshot `' + file + '`: its contents do not match its sha1 digest.');
+
+      fs.writeFileSync(file, contents.slice(0, contents.length - 10));
+
+      expect(function() {
+        FSTree.loadSnapshot(file);
+      }).to.throw('Unable to load snapshot `' + file + '`: its contents do not match its sha1 digest.');
+    });
+
+    it('throws on files which are not snapshots', function() {
+      fs.writeFileSync(file, JSON.stringify(FSTree.fromFileSystem(root)));
+
+      expect(function() {
+        FSTree.loadSnapshot(file);
+      }).to.throw('Unable to load snapshot `' + file + '`: it is not a snapshot.');
+    });
+
+    it('throws on unsupported versions', function() {
+      fs.writeFileSync(file, '{"version":2,"type":"snapshot"}\n[]\n');
+
+      expect(function() {
+        FSTree.loadSnapshot(file);
+      }).to.throw('Unable to load snapshot `' + file + '`: unsupported snapshot version `2`, expected version `1`.');
+    });
+
+    it('throws when the snapshot does not exist', function() {
+      expect(function() {
+        FSTree.loadSnapshot(file);
+      }).to.throw(/ENOENT/);
+    });
+  });
+});
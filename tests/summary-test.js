@@ -0,0 +1,96 @@
+'use strict';
+
+var expect = require('chai').expect;
+var FSTree = require('../lib/index');
+var Entry = require('../lib/entry');
+
+require('chai').config.truncateThreshold = 0;
+
+describe('patch summaries', function() {
+  function file(relativePath, size) {
+    return new Entry(relativePath, size, 0, 33188);
+  }
+
+  function directory(relativePath) {
+    return new Entry(relativePath, 4096, 0, 16877);
+  }
+
+  var patch = [
+    ['unlink', 'lib/old.js', file('lib/old.js', 2048)],
+    ['rmdir', 'lib/', directory('lib/')],
+    ['mkdir', 'src/', directory('src/')],
+    ['create', 'src/a.js', file('src/a.js', 1000)],
+    ['create', 'src/b.js', file('src/b.js', 536)],
+    ['change', 'index.js', file('index.js', 120)],
+    ['change', 'src/', directory('src/')],
+  ];
+
+  describe('FSTree.summarizePatch', function() {
+    it('counts operations, bytes and the most affected directories', function() {
+      expect(FSTree.summarizePatch(patch)).to.deep.equal({
+        operations: 7,
+        counts: { unlink: 1, rmdir: 1, mkdir: 1, create: 2, change: 2, rename: 0, symlink: 0 },
+        bytes: { created: 1536, changed: 120, removed: 2048 },
+        directories: [
+          { relativePath: '', operations: 4 },
+          { relativePath: 'src/', operations: 2 },
+          { relativePath: 'lib/', operations: 1 },
+        ],
+      });
+    });
+
+    it('limits the number of directories', function() {
+      expect(FSTree.summarizePatch(patch, { directories: 1 }).directories).to.deep.equal([
+        { relativePath: '', operations: 4 },
+      ]);
+    });
+
+    it('summarizes empty patches', function() {
+      expect(FSTree.summarizePatch([])).to.deep.equal({
+        operations: 0,
+        counts: { unlink: 0, rmdir: 0, mkdir: 0, create: 0, change: 0, rename: 0, symlink: 0 },
+        bytes: { created: 0, changed: 0, removed: 0 },
+        directories: [],
+      });
+    });
+
+    it('summarizes patches calculated from paths alone', function() {
+      var summary = FSTree.summarizePatch(FSTree.fromPaths([]).calculatePatch(FSTree.fromPaths(['a.js'])));
+
+      expect(summary.counts.create).to.equal(1);
+      expect(summary.bytes.created).to.equal(0);
+    });
+
+    it('throws on non-array patches', function() {
+      expect(function() {
+        FSTree.summarizePatch('patch');
+      }).to.throw(TypeError, 'summarizePatch\'s first argument must be an array of operations');
+    });
+  });
+
+  describe('FSTree.formatPatchSummary', function() {
+    it('renders a text report', function() {
+      expect(FSTree.formatPatchSummary(FSTree.summarizePatch(patch))).to.equal([
+        '7 operations: 1 unlink, 1 rmdir, 1 mkdir, 2 create, 2 change',
+        'bytes: 1.5 KB created, 120 B changed, 2 KB removed',
+        'most affected directories:',
+        '  ./    4',
+        '  src/  2',
+        '  lib/  1',
+      ].join('\n'));
+    });
+
+    it('renders empty patches', function() {
+      expect(FSTree.formatPatchSummary(FSTree.summarizePatch([]))).to.equal('0 operations');
+    });
+  });
+
+  describe('FSTree.prototype.calculatePatch', function() {
+    it('returns the same patch when logging its summary', function() {
+      var before = FSTree.fromPaths(['a.js']);
+      var after = FSTree.fromPaths(['b.js']);
+
+      expect(before.calculatePatch(after, null, { logSummary: true })).to.deep.equal(before.calculatePatch(after));
+    });
+  });
+});
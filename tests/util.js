@@ -8,6 +8,13 @@ var commonPrefix = util._commonPrefix;
 var basename = util._basename;
 var computeImpliedEntries = util._computeImpliedEntries;
 var sortAndExpand = util.sortAndExpand;
+var validateSortedUnique = util.validateSortedUnique;
+var createPathComparator = util.createPathComparator;
+var stripTrailingSlash = util.stripTrailingSlash;
+var parentOf = util.parentOf;
+var nameOf = util.nameOf;
+var pad = util.pad;
+var toBuffer = util.toBuffer;
 
 require('chai').config.truncateThreshold = 0;
 
@@ -24,6 +31,13 @@ describe('commonPrefix', function() {
   it('strips the suffix (of the common prefix) after the last occurrence of the terminal character', function() {
     expect(commonPrefix('a/b/c/ohai', 'a/b/c/obai', '/')).to.equal('a/b/c/');
   });
+
+  it('compares segments by key, returning the prefix as it appears in the second string', function() {
+    var key = function(segment) { return segment.toLowerCase(); };
+
+    expect(commonPrefix('A/b/C/ohai', 'a/B/c/obai', '/', key)).to.equal('a/B/c/');
+    expect(commonPrefix('a/b/', 'a/c/', '/', key)).to.equal('a/');
+  });
 });
 
 describe('basename', function() {
@@ -36,6 +50,45 @@ describe('basename', function() {
   });
 });
 
+describe('stripTrailingSlash', function() {
+  it('strips the trailing slash of directory paths', function() {
+    expect(stripTrailingSlash('a/b/')).to.equal('a/b');
+    expect(stripTrailingSlash('a/b')).to.equal('a/b');
+    expect(stripTrailingSlash('')).to.equal('');
+  });
+});
+
+describe('parentOf', function() {
+  it('computes the directory containing a path', function() {
+    expect(parentOf('a/b/c.js')).to.equal('a/b/');
+    expect(parentOf('a/b/')).to.equal('a/');
+    expect(parentOf('a.js')).to.equal('');
+  });
+});
+
+describe('nameOf', function() {
+  it('computes the name of a path within its directory', function() {
+    expect(nameOf('a/b/c.js')).to.equal('c.js');
+    expect(nameOf('a/b/')).to.equal('b/');
+    expect(nameOf('a.js')).to.equal('a.js');
+  });
+});
+
+describe('pad', function() {
+  it('pads strings with trailing spaces', function() {
+    expect(pad('ab', 4)).to.equal('ab  ');
+    expect(pad('abcde', 4)).to.equal('abcde');
+  });
+});
+
+describe('toBuffer', function() {
+  it('returns buffers of strings and byte arrays', function() {
+    expect(Buffer.isBuffer(toBuffer('ab'))).to.equal(true);
+    expect(toBuffer('ab').toString()).to.equal('ab');
+    expect(toBuffer([0x61, 0x62]).toString()).to.equal('ab');
+  });
+});
+
 describe('computeImpliedEntries', function() {
   it('computes implied entries', function() {
     var entries = computeImpliedEntries('a/b/', 'c/d/e/');
@@ -78,4 +131,70 @@ describe('sortAndExpand', function() {
       new Entry('a/b/q/r/bar.js'),
     ]);
   });
+
+  it('sorts and expands entries by the given comparator', function() {
+    var entries = [
+      new Entry('b.js'),
+      new Entry('A/b/c.js'),
+      new Entry('a/d.js'),
+      new Entry('C.js'),
+    ];
+
+    sortAndExpand(entries, createPathComparator({ caseSensitive: false }));
+
+    expect(entries.map(function(e) { return e.relativePath;})).to.deep.equal([
+      'A/',
+      'A/b/',
+      'A/b/c.js',
+      'a/d.js',
+      'b.js',
+      'C.js',
+    ]);
+  });
+});
+
+describe('createPathComparator', function() {
+  it('compares paths character by character by default', function() {
+    var comparator = createPathComparator();
+
+    expect(comparator.isDefault).to.equal(true);
+    expect(comparator).to.equal(createPathComparator({ caseSensitive: true }));
+    expect(comparator.compare('B.js', 'a.js')).to.equal(-1);
+    expect(comparator.compare('a.js', 'a.js')).to.equal(0);
+  });
+
+  it('compares case folded paths with caseSensitive: false', function() {
+    var comparator = createPathComparator({ caseSensitive: false });
+
+    expect(comparator.compare('a.js', 'B.js')).to.equal(-1);
+    expect(comparator.compare('Foo.js', 'foo.js')).to.equal(0);
+  });
+
+  it('compares Unicode normalized paths with normalize', function() {
+    var comparator = createPathComparator({ normalize: 'NFC' });
+
+    expect(comparator.compare('caf\u00e9.js', 'cafe\u0301.js')).to.equal(0);
+    expect(comparator.compare('Caf\u00e9.js', 'cafe\u0301.js')).to.equal(-1);
+    expect(createPathComparator({ normalize: 'NFD', caseSensitive: false }).compare('Caf\u00e9.js', 'cafe\u0301.js')).to.equal(0);
+  });
+
+  it('throws on unknown normalization forms', function() {
+    expect(function() {
+      createPathComparator({ normalize: 'nfc' });
+    }).to.throw(TypeError, 'Expected `normalize` to be one of `NFC`, `NFD`, `NFKC`, `NFKD` but was `nfc` instead.');
+  });
+});
+
+describe('validateSortedUnique', function() {
+  it('rejects paths which are duplicates under the given comparator', function() {
+    var entries = [new Entry('Foo.js'), new Entry('foo.js')];
+
+    expect(function() {
+      validateSortedUnique(entries);
+    }).to.not.throw();
+
+    expect(function() {
+      validateSortedUnique(entries, createPathComparator({ caseSensitive: false }));
+    }).to.throw('expected entries[0]: `Foo.js` to be < entries[1]: `foo.js`, but was not. Ensure your input is sorted and has no duplicate paths');
+  });
 });
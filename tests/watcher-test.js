@@ -0,0 +1,185 @@
+'use strict';
+
+var fs = require('fs-extra');
+var expect = require('chai').expect;
+var Promise = require('rsvp').Promise;
+var FSTree = require('../lib/index');
+
+require('chai').config.truncateThreshold = 0;
+
+describe('FSTree.watch', function() {
+  var root = 'tmp/fixture/root';
+  var watcher;
+
+  function nextPatch(watcher) {
+    return new Promise(function(resolve, reject) {
+      watcher.once('patch', function(patch, tree, previousTree) {
+        resolve({ patch: patch, tree: tree, previousTree: previousTree });
+      });
+      watcher.once('error', reject);
+    });
+  }
+
+  function operations(patch) {
+    return patch.map(function(operation) {
+      return operation.slice(0, 2);
+    });
+  }
+
+  beforeEach(function() {
+    fs.outputFileSync(root + '/a.js', 'a');
+    fs.outputFileSync(root + '/b/c.js', 'c');
+  });
+
+  afterEach(function() {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+
+    fs.removeSync('tmp');
+  });
+
+  it('maintains a tree of the directory', function() {
+    watcher = FSTree.watch(root);
+
+    expect(watcher).to.be.an.instanceOf(FSTree.Watcher);
+    expect(watcher.tree.entries).to.deep.equal(FSTree.fromFileSystem(root).entries);
+  });
+
+  it('emits debounced patches as the directory changes', function() {
+    watcher = FSTree.watch(root, { debounce: 50 });
+
+    var result = nextPatch(watcher).then(function(result) {
+      expect(operations(result.patch)).to.deep.equal([
+        ['unlink', 'a.js'],
+        ['mkdir', 'b/d/'],
+        ['create', 'b/d/e.js'],
+        ['create', 'f.js'],
+      ]);
+      expect(result.tree).to.equal(watcher.tree);
+      expect(result.tree.entries).to.deep.equal(FSTree.fromFileSystem(root).entries);
+      expect(result.previousTree.calculatePatch(result.tree)).to.deep.equal(result.patch);
+    });
+
+    fs.unlinkSync(root + '/a.js');
+    fs.outputFileSync(root + '/b/d/e.js', 'e');
+    fs.outputFileSync(root + '/f.js', 'f');
+
+    return result;
+  });
+
+  it('watches directories added to the tree', function() {
+    watcher = FSTree.watch(root, { debounce: 50 });
+
+    var result = nextPatch(watcher).then(function() {
+      var next = nextPatch(watcher);
+
+      fs.outputFileSync(root + '/g/h.js', 'h');
+
+      return next;
+    }).then(function(result) {
+      expect(operations(result.patch)).to.deep.equal([
+        ['create', 'g/h.js'],
+      ]);
+    });
+
+    fs.mkdirSync(root + '/g');
+
+    return result;
+  });
+
+  it('keeps the directory digests of its tree up to date', function() {
+    watcher = FSTree.watch(root, { debounce: 50 });
+
+    var result = nextPatch(watcher).then(function() {
+      var next = nextPatch(watcher);
+
+      fs.outputFileSync(root + '/b/c.js', 'changed');
+
+      return next;
+    }).then(function(result) {
+      var current = FSTree.fromFileSystem(root);
+
+      expect(result.tree.directoryDigest('')).to.equal(current.directoryDigest(''));
+      expect(result.tree.directoryDigest('b/')).to.equal(current.directoryDigest('b/'));
+    });
+
+    fs.outputFileSync(root + '/b/d/e.js', 'e');
+
+    return result;
+  });
+
+  it('supports the options of fromFileSystem', function() {
+    watcher = FSTree.watch(root, { debounce: 50, exclude: 'b' });
+
+    expect(watcher.tree.entries.map(function(entry) { return entry.relativePath; })).to.deep.equal(['a.js']);
+
+    var result = nextPatch(watcher).then(function(result) {
+      expect(operations(result.patch)).to.deep.equal([
+        ['create', 'c.js'],
+      ]);
+    });
+
+    fs.outputFileSync(root + '/b/ignored.js', 'ignored');
+    fs.outputFileSync(root + '/c.js', 'c');
+
+    return result;
+  });
+
+  it('watches directories containing no included files', function() {
+    fs.mkdirsSync(root + '/lib');
+
+    watcher = FSTree.watch(root, { debounce: 50, include: '**/*.js' });
+
+    var result = nextPatch(watcher).then(function(result) {
+      expect(operations(result.patch)).to.deep.equal([
+        ['mkdir', 'lib/'],
+        ['create', 'lib/b.js'],
+      ]);
+    });
+
+    fs.outputFileSync(root + '/lib/b.js', 'b');
+
+    return result;
+  });
+
+  it('emits errors from calculating the patch', function() {
+    watcher = FSTree.watch(root, {
+      debounce: 50,
+      isEqual: function() {
+        throw new Error('isEqual failed');
+      },
+    });
+
+    var previousTree = watcher.tree;
+    var result = new Promise(function(resolve) {
+      watcher.once('error', resolve);
+    }).then(function(error) {
+      expect(error.message).to.equal('isEqual failed');
+      expect(watcher.tree).to.equal(previousTree);
+    });
+
+    fs.outputFileSync(root + '/a.js', 'changed');
+
+    return result;
+  });
+
+  it('stops emitting once closed', function() {
+    var emitted = false;
+
+    watcher = FSTree.watch(root, { debounce: 10 });
+    watcher.on('patch', function() {
+      emitted = true;
+    });
+
+    fs.outputFileSync(root + '/f.js', 'f');
+    watcher.close();
+
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 50);
+    }).then(function() {
+      expect(emitted).to.equal(false);
+    });
+  });
+});